@@ -0,0 +1,45 @@
+import { getLeadEndpoint } from '../analytics/config.js';
+
+/**
+ * Admin calls to the lead endpoint. Every action is authorised by the
+ * ADMIN_KEY script property; the key is kept in sessionStorage only, so
+ * closing the tab signs out.
+ */
+
+export const KEY_STORAGE = 'ui_admin_key';
+
+/**
+ * Calls an admin action and returns its JSON reply. Read-only actions are
+ * GETs; anything that changes data is POSTed as a form (a "simple" request,
+ * so Apps Script's CORS-less replies stay readable).
+ *
+ * @param {string} action - e.g. 'leads', 'privacy_export', 'privacy_delete'
+ * @param {Object} params - Extra parameters; empty values are skipped
+ * @param {string} [method='GET']
+ * @returns {Promise<Object>} The reply; rejects with `error.unauthorized` set for a bad key
+ */
+export async function adminRequest(action, params = {}, method = 'GET') {
+    const fields = Object.assign({ action, key: sessionStorage.getItem(KEY_STORAGE) || '' }, params);
+    let response;
+    if (method === 'GET') {
+        const url = new URL(getLeadEndpoint());
+        for (const [name, value] of Object.entries(fields)) {
+            if (value) url.searchParams.set(name, value);
+        }
+        response = await fetch(url.toString());
+    } else {
+        const body = new FormData();
+        for (const [name, value] of Object.entries(fields)) {
+            if (value) body.append(name, value);
+        }
+        response = await fetch(getLeadEndpoint(), { method, body });
+    }
+
+    const data = await response.json();
+    if (!data.success) {
+        const error = new Error(data.error || 'Request failed');
+        error.unauthorized = data.error === 'Unauthorized';
+        throw error;
+    }
+    return data;
+}
@@ -0,0 +1,183 @@
+import { KEY_STORAGE, adminRequest } from './api.js';
+
+/**
+ * Lead dashboard for admin.html.
+ *
+ * Reads leads from the Apps Script `?action=leads` endpoint (protected by the
+ * ADMIN_KEY script property) and charts them per day, per first source,
+ * per latest campaign and per project.
+ */
+
+const DEFAULT_RANGE_DAYS = 30;
+const TOP_N = 10;
+
+const charts = {};
+const seenOptions = { project: new Set(), source: new Set(), status: new Set() };
+
+const $ = (id) => document.getElementById(id);
+
+async function fetchLeads(filters) {
+    const data = await adminRequest('leads', filters);
+    return data.leads;
+}
+
+/**
+ * Counts leads by a key function, returning [label, count] pairs sorted by
+ * count. Anything beyond the top N is folded into "Other".
+ */
+function countBy(leads, keyFn, limit = TOP_N) {
+    const counts = new Map();
+    leads.forEach(lead => {
+        const key = keyFn(lead) || '(none)';
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    if (sorted.length <= limit) return sorted;
+    const other = sorted.slice(limit).reduce((sum, [, count]) => sum + count, 0);
+    return [...sorted.slice(0, limit), ['Other', other]];
+}
+
+function leadsPerDay(leads, from, to) {
+    const counts = new Map();
+    leads.forEach(lead => {
+        const day = lead.day;
+        counts.set(day, (counts.get(day) || 0) + 1);
+    });
+    // Fill gaps so quiet days show as zero instead of disappearing.
+    const days = [];
+    const cursor = new Date(from + 'T00:00:00Z');
+    const end = new Date(to + 'T00:00:00Z');
+    while (cursor <= end) {
+        const day = cursor.toISOString().slice(0, 10);
+        days.push([day, counts.get(day) || 0]);
+        cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+    return days;
+}
+
+function renderChart(canvasId, type, pairs, label) {
+    if (charts[canvasId]) charts[canvasId].destroy();
+    charts[canvasId] = new window.Chart($(canvasId), {
+        type,
+        data: {
+            labels: pairs.map(([name]) => name),
+            datasets: [{
+                label,
+                data: pairs.map(([, count]) => count),
+                backgroundColor: type === 'line' ? 'rgba(59, 130, 246, 0.15)' : '#1e3a8a',
+                borderColor: '#1e3a8a',
+                fill: type === 'line',
+                tension: 0.3
+            }]
+        },
+        options: {
+            maintainAspectRatio: false,
+            indexAxis: type === 'bar' && pairs.length > 6 ? 'y' : 'x',
+            plugins: { legend: { display: false } },
+            scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+        }
+    });
+}
+
+function fillSelect(selectId, group, values) {
+    values.forEach(value => { if (value) seenOptions[group].add(value); });
+    const select = $(selectId);
+    const current = select.value;
+    select.innerHTML = '<option value="">All</option>';
+    [...seenOptions[group]].sort().forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    });
+    select.value = current;
+}
+
+function render(leads, filters) {
+    $('dashTotal').textContent = leads.length;
+    $('dashReturning').textContent = leads.filter(lead => Number(lead.touch_count) > 1).length;
+    $('dashPaid').textContent = leads.filter(lead =>
+        lead.first_source === 'Google Ads' || lead.latest_source === 'Google Ads').length;
+    $('dashUnassigned').textContent = leads.filter(lead =>
+        !lead.assigned_to || lead.assigned_to === 'Unassigned').length;
+
+    renderChart('chartDaily', 'line', leadsPerDay(leads, filters.from, filters.to), 'Leads');
+    renderChart('chartSource', 'bar', countBy(leads, lead => lead.first_source), 'Leads');
+    renderChart('chartCampaign', 'bar', countBy(leads, lead => lead.latest_campaign), 'Leads');
+    renderChart('chartProject', 'bar', countBy(leads, lead => lead.project, 20), 'Leads');
+
+    fillSelect('dashProject', 'project', leads.map(lead => lead.project));
+    fillSelect('dashSource', 'source', leads.flatMap(lead => [lead.first_source, lead.latest_source]));
+    fillSelect('dashStatus', 'status', leads.map(lead => lead.status));
+}
+
+function readFilters() {
+    return {
+        from: $('dashFrom').value,
+        to: $('dashTo').value,
+        project: $('dashProject').value,
+        source: $('dashSource').value,
+        status: $('dashStatus').value
+    };
+}
+
+function setLoading(loading) {
+    const button = $('dashFilters').querySelector('button[type="submit"]');
+    button.disabled = loading;
+    button.querySelector('.btn-text').classList.toggle('d-none', loading);
+    button.querySelector('.btn-loading').classList.toggle('d-none', !loading);
+}
+
+async function load() {
+    const filters = readFilters();
+    $('dashError').textContent = '';
+    setLoading(true);
+    try {
+        render(await fetchLeads(filters), filters);
+    } catch (error) {
+        if (error.unauthorized) {
+            signOut('That admin key was not accepted.');
+            return;
+        }
+        $('dashError').textContent = 'Could not load leads: ' + error.message;
+    } finally {
+        setLoading(false);
+    }
+}
+
+function showDashboard() {
+    $('dashLogin').classList.add('d-none');
+    $('dashBody').classList.remove('d-none');
+    $('dashLogout').classList.remove('d-none');
+    load();
+}
+
+function signOut(message = '') {
+    sessionStorage.removeItem(KEY_STORAGE);
+    $('dashBody').classList.add('d-none');
+    $('dashLogout').classList.add('d-none');
+    $('dashLogin').classList.remove('d-none');
+    $('dashLoginError').textContent = message;
+}
+
+(function initDashboard() {
+    const today = new Date();
+    const start = new Date(today);
+    start.setDate(start.getDate() - (DEFAULT_RANGE_DAYS - 1));
+    $('dashFrom').value = start.toISOString().slice(0, 10);
+    $('dashTo').value = today.toISOString().slice(0, 10);
+
+    $('dashLogin').addEventListener('submit', function(e) {
+        e.preventDefault();
+        sessionStorage.setItem(KEY_STORAGE, $('dashKey').value.trim());
+        $('dashKey').value = '';
+        showDashboard();
+    });
+    $('dashFilters').addEventListener('submit', function(e) {
+        e.preventDefault();
+        load();
+    });
+    $('dashLogout').addEventListener('click', () => signOut());
+
+    if (sessionStorage.getItem(KEY_STORAGE)) showDashboard();
+})();
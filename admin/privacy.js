@@ -0,0 +1,72 @@
+import { adminRequest } from './api.js';
+
+/**
+ * Personal data requests panel on admin.html (DPDP access and erasure).
+ *
+ * Only run these after confirming the requester owns the phone number,
+ * e.g. by calling it back. Exports download as JSON; deletions remove the
+ * person's rows from the lead, Quarantine and Rejected sheets. Both are
+ * recorded in the "Privacy Log" sheet.
+ */
+
+const $ = (id) => document.getElementById(id);
+
+function readRequest() {
+    return {
+        phone: $('privacyPhone').value.trim(),
+        requested_by: $('privacyRequestedBy').value.trim()
+    };
+}
+
+function showResult(message, isError = false) {
+    $('privacyResult').textContent = message;
+    $('privacyResult').className = 'small mt-3 ' + (isError ? 'text-danger' : 'text-success');
+}
+
+function download(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function exportData() {
+    const data = await adminRequest('privacy_export', readRequest());
+    if (!data.count) {
+        showResult(`Nothing stored for ${data.phone}.`);
+        return;
+    }
+    download(`personal-data-${data.phone.replace('+', '')}.json`, {
+        phone: data.phone,
+        exported_at: new Date().toISOString(),
+        records: data.records
+    });
+    showResult(`Exported ${data.count} row(s) for ${data.phone}.`);
+}
+
+async function deleteData() {
+    const request = readRequest();
+    if (!window.confirm(`Permanently delete every row stored for ${request.phone}? This cannot be undone.`)) return;
+    const data = await adminRequest('privacy_delete', request, 'POST');
+    showResult(`Deleted ${data.deleted} row(s) for ${data.phone}.`);
+}
+
+function run(action) {
+    return async function() {
+        if (!$('privacyForm').reportValidity()) return;
+        showResult('');
+        try {
+            await action();
+        } catch (error) {
+            showResult(error.unauthorized ? 'Admin key not accepted — sign out and in again.' : error.message, true);
+        }
+    };
+}
+
+(function initPrivacy() {
+    $('privacyForm').addEventListener('submit', e => e.preventDefault());
+    $('privacyExport').addEventListener('click', run(exportData));
+    $('privacyDelete').addEventListener('click', run(deleteData));
+})();
@@ -1,3 +1,5 @@
+import { findProject } from './projects.js';
+
 /**
  * Centralized Configuration for Analytics System
  */
@@ -5,8 +7,34 @@
 export const CONFIG = {
     SESSION_KEY: 'ui_attribution_data',
     SESSION_ID_KEY: 'ui_session_id',
+    // Visitor-level engagement totals (localStorage, so repeat visits count)
+    ENGAGEMENT_KEY: 'ui_engagement',
+
+    // Google Apps Script web app that stores leads (appscript.js)
+    LEAD_ENDPOINT: 'https://script.google.com/macros/s/AKfycbyK3zQjXKO656ePVyK4rH9-gbYxUwvj2irfhp0Ss7hOUghxNaPqrYOlVbaihJj_s-AagA/exec',
+
+    // Development only: set to true to send every lead, token and dashboard
+    // request to the offline stand-in (`node dev/lead-server.mjs`) instead.
+    USE_LOCAL_LEAD_ENDPOINT: false,
+    LOCAL_LEAD_ENDPOINT: 'http://localhost:8787/exec',
+
+    // One-time code step on high-intent forms (forms/otp.js). The endpoint
+    // must also have an OTP_PROVIDER; without one, leads go out unverified.
+    PHONE_VERIFICATION: true,
+
+    // Dispatched on window by forms.js after a lead POST completes;
+    // detail: { eventId, sessionId, subject, formName, result } (result: the doPost reply)
+    LEAD_SUBMITTED_EVENT: 'ui:lead-submitted',
 };
 
+/**
+ * Returns the lead endpoint in use: the Apps Script web app, or the local
+ * stand-in when USE_LOCAL_LEAD_ENDPOINT is on.
+ */
+export function getLeadEndpoint() {
+    return CONFIG.USE_LOCAL_LEAD_ENDPOINT ? CONFIG.LOCAL_LEAD_ENDPOINT : CONFIG.LEAD_ENDPOINT;
+}
+
 /**
  * Generates a standard UUID v4
  */
@@ -38,6 +66,16 @@ export function getSessionId() {
     return sessionId;
 }
 
+/**
+ * The page's project from the catalog (projects.js), by its URL slug.
+ * e.g. /gaur-plume.html -> the Gaur Plume entry
+ *
+ * @returns {Object|null} The catalog entry, or null on non-project pages.
+ */
+export function getCurrentProject() {
+    return findProject(getPageSlug());
+}
+
 /**
  * Utility to extract the project/property name from the URL path.
  * Used automatically by trackEvent() to append property context to all events.
@@ -46,59 +84,20 @@ export function getSessionId() {
  * @returns {string} The formatted project name, or 'Home' if no project is detected.
  */
 export function getProjectName() {
-    const path = window.location.pathname;
-    
-    // Exact mapping matches the ones in lead-magnet.js and some additional ones
-    const pathSegments = path.split('/');
-    const filename = pathSegments.pop().replace(/\.html$/i, '').toLowerCase();
-
-    const PROJECTS = {
-        'experion-saatori': "Experion Saatori",
-        'experionsaatori': "Experion Saatori",
-        'dasnac-yuva': "Dasnac Yuva",
-        'dasnac': "Dasnac Yuva",
-        'eldeco-ballads-of-bliss': "Eldeco Ballads of Bliss",
-        'eldecoballadsofbliss': "Eldeco Ballads of Bliss",
-        'eldeco-echoes-of-eden': "Eldeco Echoes of Eden",
-        'eldecoechoesofeden': "Eldeco Echoes of Eden",
-        'eldeco-7-peaks': "Eldeco 7 Peaks",
-        'gaur-chrysalis': "Gaur Chrysalis",
-        'gaur-chrysalis-2': "Gaur Chrysalis",
-        'gaurchrysalis': "Gaur Chrysalis",
-        'gaurchrysalis2': "Gaur Chrysalis",
-        'gaur-plume': "Gaur Plume",
-        'migsun-nehru-place': "Migsun Nehru Place",
-        'migsunnehru': "Migsun Nehru Place",
-        'one-fng': "One FNG",
-        'onefng': "One FNG",
-        'palm-village': "Palm Village",
-        'palmvillage': "Palm Village",
-        'ace-acreville': "Ace Acreville",
-        'aceacreville': "Ace Acreville",
-        'max-105': "Max 105",
-        'sobha-rivana': "Sobha Rivana",
-        'sobharivana': "Sobha Rivana",
-        'grandthum': "Grandthum",
-        'crc-the-flagship': "CRC The Flagship",
-        'fairfox-eon': "Fairfox EON",
-        'onyx-by-splendor': "Onyx By Splendor",
-        'northwind-sanctuary': "Northwind Sanctuary",
-        'omaxe-prayagraj': "Omaxe Prayagraj",
-        'ace-parkway': "Ace Parkway",
-        'crown-residences-godrej-golf-links-greater-noida': "Crown Residences Godrej",
-        'eldeco-whispers-of-wonder': "Eldeco Whispers of Wonder",
-        'gaur-bento': "Gaur Bento",
-        'noida-sector-145-plots': "Noida Sector 145 Plots"
-    };
-
-    if (PROJECTS[filename]) {
-        return PROJECTS[filename];
+    const project = getCurrentProject();
+    if (project) {
+        return project.name;
     }
 
-    if (!filename || filename === 'index' || filename === '') {
+    const filename = getPageSlug();
+    if (!filename || filename === 'index') {
         return 'Home';
     }
 
     // Fallback: capitalize words and replace hyphens
     return filename.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
 }
+
+function getPageSlug() {
+    return window.location.pathname.split('/').pop().replace(/\.html$/i, '').toLowerCase();
+}
@@ -0,0 +1,43 @@
+import { PROJECTS } from './projects.js';
+
+/**
+ * Sales contacts, per project.
+ *
+ * Read by lead-magnet.js (through window.uiContact, set by main.js) for the
+ * WhatsApp, call and callback buttons, and by forms/site-visit.js for the
+ * booking modal's WhatsApp link and calendar note. lead-magnet.js keeps a
+ * copy of the default (DEFAULT_CONTACT) for pages where this module doesn't
+ * load; change both together.
+ *
+ * A project's own entry wins, then its developer's (names as in
+ * projects.js), then the default; entries only need the keys that differ,
+ * e.g. "Max 105": { phone: "<its sales line>" }.
+ * hours: when calls are answered, in office time (utcOffset minutes from
+ * UTC; 330 = IST). days: 0 = Sunday. open/close: hours, 24h clock. Outside
+ * them the mobile bar's call button becomes a callback request.
+ */
+export const CONTACTS = {
+    default: {
+        whatsapp: '911144739693',
+        phone: '7705015689',
+        hours: { utcOffset: 330, days: [0, 1, 3, 4, 5, 6], open: 10, close: 20 }
+    },
+    projects: {},
+    developers: {}
+};
+
+/**
+ * The contact for a project.
+ *
+ * @param {Object|string|null} project - Catalog entry, project name (as in
+ *     lead subjects), or null for the default
+ * @returns {{whatsapp: string, phone: string, hours: Object}}
+ */
+export function contactFor(project) {
+    const entry = typeof project === 'string'
+        ? PROJECTS.find(p => p.name === project) || { name: project }
+        : project;
+    const own = entry ? CONTACTS.projects[entry.name] : null;
+    const developer = entry ? CONTACTS.developers[entry.developer] : null;
+    return Object.assign({}, CONTACTS.default, developer, own);
+}
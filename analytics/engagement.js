@@ -1,15 +1,77 @@
 import { getAttributionData } from './attribution.js';
-import { getProjectName, generateEventId, getSessionId } from './config.js';
+import { CONFIG, getProjectName, generateEventId, getSessionId } from './config.js';
+
+// Active (tab visible) time is added to the visitor's total in steps of this size.
+const ACTIVE_TICK_SECONDS = 10;
+
+// Deepest scroll reached on this page, in percent.
+let maxScrollPercent = 0;
 
 /**
  * Initializes engagement tracking (Scroll depth and Time on Page).
  */
 export function initEngagementTracking() {
+    initEngagementTotals();
     initTimeTracking();
     initScrollTracking();
     initNativeVideoTracking();
 }
 
+/**
+ * Compact summary of the visitor's engagement, sent with every lead by
+ * forms.js and used by the lead endpoint's quality score.
+ *
+ * @returns {{visits: number, pages: number, seconds: number, scroll: number}}
+ *   Visits and page views across all visits, active seconds on site, and the
+ *   deepest scroll (%) on the current page.
+ */
+export function getEngagementSummary() {
+    const totals = readEngagementTotals();
+    return {
+        visits: totals.visits || 1,
+        pages: totals.pages || 1,
+        seconds: totals.seconds || 0,
+        scroll: Math.round(maxScrollPercent)
+    };
+}
+
+function readEngagementTotals() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.ENGAGEMENT_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveEngagementTotals(totals) {
+    try {
+        localStorage.setItem(CONFIG.ENGAGEMENT_KEY, JSON.stringify(totals));
+    } catch (e) {
+        // Storage full or blocked: the summary just stays at its defaults
+    }
+}
+
+function initEngagementTotals() {
+    const totals = readEngagementTotals();
+    const sessionId = getSessionId();
+
+    // A new session ID means a new visit
+    if (totals.session !== sessionId) {
+        totals.visits = (totals.visits || 0) + 1;
+        totals.session = sessionId;
+    }
+    totals.pages = (totals.pages || 0) + 1;
+    saveEngagementTotals(totals);
+
+    // Only count time while the tab is actually being looked at
+    setInterval(() => {
+        if (document.visibilityState !== 'visible') return;
+        const current = readEngagementTotals();
+        current.seconds = (current.seconds || 0) + ACTIVE_TICK_SECONDS;
+        saveEngagementTotals(current);
+    }, ACTIVE_TICK_SECONDS * 1000);
+}
+
 function pushEngagementEvent(eventName, extraParams = {}) {
     const attribution = getAttributionData();
     const projectName = getProjectName();
@@ -72,6 +134,9 @@ function initScrollTracking() {
         const scrollTop = window.scrollY || document.documentElement.scrollTop;
 
         const scrollPercent = (scrollTop / (docHeight - winHeight)) * 100;
+        if (isFinite(scrollPercent)) {
+            maxScrollPercent = Math.min(100, Math.max(maxScrollPercent, scrollPercent));
+        }
 
         thresholds.forEach(threshold => {
             if (scrollPercent >= (threshold - 1) && !tracked.has(threshold)) {
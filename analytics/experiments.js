@@ -0,0 +1,157 @@
+import { CONFIG } from './config.js';
+import { trackEvent } from './events.js';
+
+/**
+ * A/B tests for the lead-magnet widgets (floating WhatsApp button, mobile CTA
+ * bar, Get Price popup, exit popup).
+ *
+ * Visitors are assigned a variant per experiment once and keep it across
+ * visits (localStorage). lead-magnet.js is a classic script, so it reaches
+ * this module through window.uiExperiments and renders each variant's copy
+ * and layout itself. What is reported:
+ *
+ *   experiment_exposure    The visitor saw the variant (once per page view)
+ *   experiment_conversion  An exposed visitor converted: conversion_type is
+ *                          "lead" for every saved lead, or the widget's own
+ *                          action ("whatsapp_click", "call_click",
+ *                          "callback_click", "open")
+ *
+ * Both carry experiment_id and variant_id. Leads also carry the visitor's
+ * exposed variants as `experiments` ("get_price_offer:callback,..."), so the
+ * lead sheet can be split by variant too. dev/ab-results.mjs tests exported
+ * counts for significance.
+ */
+
+const ASSIGNMENTS_KEY = 'ui_experiments';
+
+// Variant ids and their weights (relative traffic share); the first variant
+// is the control. With active: false everyone gets the control and nothing
+// is reported. Changing an experiment's variants reassigns its visitors.
+export const EXPERIMENTS = {
+    get_price_offer: { active: true, variants: { control: 50, callback: 50 } },
+    floating_whatsapp: { active: true, variants: { control: 50, labelled: 50 } },
+    mobile_cta: { active: true, variants: { control: 50, whatsapp_first: 50 } },
+    exit_offer: { active: true, variants: { control: 50, shortlist: 50 } }
+};
+
+const exposedThisPage = new Set();
+// Read once per page, so a visitor keeps one variant even when storage is blocked
+let assignments = null;
+
+/**
+ * Exposes the experiments to classic scripts as window.uiExperiments and
+ * reports a conversion for every exposed experiment when a lead is saved.
+ */
+export function initExperiments() {
+    window.uiExperiments = {
+        variant: getVariant,
+        expose: trackExposure,
+        convert: trackConversion
+    };
+
+    window.addEventListener(CONFIG.LEAD_SUBMITTED_EVENT, function(e) {
+        if (!e.detail.result.success) return;
+        Object.keys(readAssignments()).forEach(id => trackConversion(id, 'lead'));
+    });
+}
+
+/**
+ * The visitor's variant of an experiment, assigning one on first use.
+ *
+ * @param {string} experimentId - A key of EXPERIMENTS
+ * @returns {string} The variant id; the control for unknown or inactive experiments
+ */
+export function getVariant(experimentId) {
+    const experiment = EXPERIMENTS[experimentId];
+    if (!experiment) return 'control';
+    const variants = Object.keys(experiment.variants);
+    if (!experiment.active) return variants[0];
+
+    const assigned = readAssignments()[experimentId];
+    if (assigned && variants.includes(assigned.variant)) return assigned.variant;
+
+    assignments[experimentId] = { variant: pickVariant(experiment.variants), assigned_at: new Date().toISOString() };
+    saveAssignments();
+    return assignments[experimentId].variant;
+}
+
+/**
+ * Records that the visitor has seen their variant. Call when the widget is
+ * actually visible (not for a mobile-only bar on desktop).
+ *
+ * @param {string} experimentId
+ */
+export function trackExposure(experimentId) {
+    const experiment = EXPERIMENTS[experimentId];
+    if (!experiment || !experiment.active || exposedThisPage.has(experimentId)) return;
+    exposedThisPage.add(experimentId);
+
+    const variant = getVariant(experimentId);
+    if (!assignments[experimentId].exposed_at) {
+        assignments[experimentId].exposed_at = new Date().toISOString();
+        saveAssignments();
+    }
+    trackEvent('experiment_exposure', { experiment_id: experimentId, variant_id: variant });
+}
+
+/**
+ * Reports a conversion for an experiment the visitor has been exposed to
+ * (at any visit). Conversions without an exposure are ignored.
+ *
+ * @param {string} experimentId
+ * @param {string} conversionType - "lead", or the widget's action (e.g. "whatsapp_click")
+ */
+export function trackConversion(experimentId, conversionType) {
+    const experiment = EXPERIMENTS[experimentId];
+    const assigned = readAssignments()[experimentId];
+    if (!experiment || !experiment.active || !assigned || !assigned.exposed_at) return;
+    trackEvent('experiment_conversion', {
+        experiment_id: experimentId,
+        variant_id: assigned.variant,
+        conversion_type: conversionType
+    });
+}
+
+/**
+ * The visitor's exposed variants for the lead payload, e.g.
+ * "get_price_offer:callback,exit_offer:control" ('' if none).
+ *
+ * @returns {string}
+ */
+export function getExperimentField() {
+    readAssignments();
+    return Object.keys(assignments)
+        .filter(id => EXPERIMENTS[id] && EXPERIMENTS[id].active && assignments[id].exposed_at)
+        .map(id => `${id}:${assignments[id].variant}`)
+        .join(',');
+}
+
+function pickVariant(weights) {
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = Math.random() * total;
+    for (const [variant, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return variant;
+    }
+    return entries[0][0];
+}
+
+function readAssignments() {
+    if (!assignments) {
+        try {
+            assignments = JSON.parse(localStorage.getItem(ASSIGNMENTS_KEY)) || {};
+        } catch (e) {
+            assignments = {};
+        }
+    }
+    return assignments;
+}
+
+function saveAssignments() {
+    try {
+        localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify(assignments));
+    } catch (e) {
+        // Storage blocked: the variant holds for this page view only
+    }
+}
@@ -1,6 +1,13 @@
 import { getAttributionData } from './attribution.js';
-import { getProjectName, generateEventId, getSessionId } from './config.js';
+import { CONFIG, getProjectName, generateEventId, getSessionId, getLeadEndpoint } from './config.js';
 import { trackEvent } from './events.js';
+import { getEngagementSummary } from './engagement.js';
+import { getExperimentField } from './experiments.js';
+import { getSubmissionToken } from '../forms/token.js';
+import { getAntiSpamFields } from '../forms/antispam.js';
+import { getConsentFields } from '../forms/consent.js';
+import { sendLead } from '../forms/submission.js';
+import { queueLead, dequeueLead, retryLeadLater, startLeadQueue } from '../forms/lead-queue.js';
 
 /**
  * Initializes form tracking by overriding window.fetch
@@ -8,7 +15,17 @@ import { trackEvent } from './events.js';
  * without modifying the inline HTML scripts.
  */
 export function initFormTracking() {
-    const originalFetch = window.fetch;
+    const originalFetch = window.fetch.bind(window);
+
+    // Resend leads left over from a dropped connection (this or an earlier visit)
+    startLeadQueue(async (endpoint, body, meta) => {
+        // The stored token may have expired; get one for the lead's own session
+        body.set("token", await getSubmissionToken(endpoint, body.get("session_id")));
+        const result = await sendLead(originalFetch, endpoint, body);
+        reportLeadResult(result, meta, body.get("event_id"), body.get("session_id"));
+    }, meta => {
+        trackEvent('lead_submit_failed', { form_name: meta.formName, error_type: 'network', error_message: 'Retries exhausted' });
+    });
     
     window.fetch = async function(...args) {
         const url = args[0];
@@ -18,6 +35,9 @@ export function initFormTracking() {
         const hasFormData = options && options.body instanceof FormData;
 
         if (isAppsScriptTarget && hasFormData) {
+
+            // During development, redirect page forms to the offline stand-in
+            if (CONFIG.USE_LOCAL_LEAD_ENDPOINT) args[0] = getLeadEndpoint();
             
             // 1. Append Enterprise Attribution Data to the FormData payload
             const attribution = getAttributionData();
@@ -34,6 +54,34 @@ export function initFormTracking() {
             options.body.append("event_id", eventId);
             options.body.append("page_url", window.location.href);
             options.body.append("page_title", document.title);
+
+            // Visits, pages, active time and scroll depth (lead quality score)
+            options.body.set("engagement", JSON.stringify(getEngagementSummary()));
+
+            // A/B variants the visitor has seen ("get_price_offer:callback,...")
+            const experiments = getExperimentField();
+            if (experiments) options.body.set("experiments", experiments);
+
+            // Anti-spam signals (honeypot, time-to-submit) scored by doPost
+            for (const [key, value] of Object.entries(getAntiSpamFields())) {
+                options.body.set(key, value);
+            }
+
+            // Consent flag and privacy policy version (stored with a timestamp by doPost)
+            for (const [key, value] of Object.entries(getConsentFields())) {
+                options.body.set(key, value);
+            }
+
+            // Swap in a signed, session-bound token (replaces any legacy static token)
+            options.body.delete("Token");
+            options.body.set("origin", window.location.origin);
+            try {
+                options.body.set("token", await getSubmissionToken(args[0]));
+            } catch (tokenError) {
+                // Still submit: the endpoint records token-less submissions in its
+                // Rejected sheet, so the lead's details are never lost.
+                console.error("Could not obtain submission token:", tokenError);
+            }
             
             // Extract some values for categorization
             const subject = options.body.get('subject') || '';
@@ -49,34 +97,68 @@ export function initFormTracking() {
             else if (subjectLower.includes('callback')) formName = "Callback Request";
             else if (subjectLower.includes('enquiry') || subjectLower.includes('inquiry')) formName = "Enquiry Form";
             
-            // 2. Perform the actual fetch request
+            // 2. Keep a copy on the device, send the lead and read the endpoint's
+            // verdict. Callers get it back as a readable JSON response, whatever
+            // mode they asked for.
+            const meta = { formName, subject };
+            await queueLead(args[0], options.body, meta);
+            let result;
             try {
-                const response = await originalFetch.apply(this, args);
-                
-                // 3. Push success event via centralized trackEvent
-                // Treat opaque responses from no-cors Google Apps Script as success
-                if (response.ok || response.type === 'opaque') {
-                    try {
-                        window.dataLayer = window.dataLayer || [];
-                        window.dataLayer.push({
-                            event: "generate_lead",
-                            form_name: formName
-                        });
-                        console.log("generate_lead pushed directly");
-                    } catch (analyticsError) {
-                        // Critical Requirement: Analytics failures must never block, delay, or cancel a lead submission.
-                        console.error("Analytics error tracking generate_lead:", analyticsError);
-                    }
-                }
-                
-                return response;
+                result = await sendLead(originalFetch, args[0], options.body);
             } catch (error) {
-                // If the fetch itself fails, throw it so the UI can handle it
-                throw error;
+                // Not lost: the queue resends it when the connection returns
+                await retryLeadLater(eventId);
+                trackEvent('lead_queued', { form_name: formName, error_message: error.message });
+                return jsonReply({ success: false, queued: true, status: 0, error: "Queued for retry" });
             }
+            await dequeueLead(eventId);
+
+            // 3. Only a confirmed save counts as a conversion
+            reportLeadResult(result, meta, eventId, sessionId);
+            return jsonReply(result);
         }
         
         // Passthrough for all other fetch requests
         return originalFetch.apply(this, args);
     };
 }
+
+/**
+ * Pushes the analytics for an answered lead: generate_lead (and the
+ * LEAD_SUBMITTED_EVENT for form helpers) on a confirmed save,
+ * lead_submit_failed otherwise.
+ */
+function reportLeadResult(result, meta, eventId, sessionId) {
+    const { formName, subject } = meta;
+    if (result.success) {
+        try {
+            window.dataLayer = window.dataLayer || [];
+            window.dataLayer.push({
+                event: "generate_lead",
+                form_name: formName
+            });
+            console.log("generate_lead pushed directly");
+        } catch (analyticsError) {
+            // Critical Requirement: Analytics failures must never block, delay, or cancel a lead submission.
+            console.error("Analytics error tracking generate_lead:", analyticsError);
+        }
+
+        // Let form helpers (e.g. brochure delivery) follow up on this submission
+        window.dispatchEvent(new CustomEvent(CONFIG.LEAD_SUBMITTED_EVENT, {
+            detail: { eventId, sessionId, subject, formName, result }
+        }));
+    } else {
+        trackEvent('lead_submit_failed', {
+            form_name: formName,
+            error_type: result.status === 400 ? 'validation' : 'server',
+            error_message: result.errors ? result.errors.map(err => err.code).join(',') : (result.error || '')
+        });
+    }
+}
+
+function jsonReply(result) {
+    return new Response(JSON.stringify(result), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
@@ -2,6 +2,9 @@ import { initAttribution } from './attribution.js';
 import { initFormTracking } from './forms.js';
 import { initEventTracking } from './events.js';
 import { initEngagementTracking } from './engagement.js';
+import { initExperiments } from './experiments.js';
+import { getCurrentProject } from './config.js';
+import { contactFor } from './contacts.js';
 
 /**
  * Main Entry Point for the Centralized Analytics & Attribution System
@@ -18,6 +21,14 @@ import { initEngagementTracking } from './engagement.js';
 
     // 4. Start engagement tracking
     initEngagementTracking();
+
+    // 5. A/B test assignments for lead-magnet.js (window.uiExperiments)
+    initExperiments();
+
+    // 6. The page's catalog entry and sales contact for lead-magnet.js
+    //    (window.uiCurrentProject, window.uiContact)
+    window.uiCurrentProject = getCurrentProject();
+    window.uiContact = contactFor(window.uiCurrentProject);
     
     console.log("[Analytics] Initialized centralized tracking module.");
 })();
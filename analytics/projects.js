@@ -0,0 +1,580 @@
+/**
+ * Project catalog: the one list of the projects the site sells.
+ *
+ * Read at runtime by config.js (getCurrentProject / getProjectName, so every
+ * event and lead-magnet.js's Get Price button know the page's project), and
+ * by `node dev/build-catalog.mjs`, which writes the cards in properties.html,
+ * the legacy-slug redirects in vercel.json and the listings in llms.txt.
+ * Adding a project page means adding an entry here and running that script.
+ *
+ * Fields:
+ *   slug          Page file name without .html (the clean URL)
+ *   legacySlugs   Old URLs that redirect to the page
+ *   name          As in lead subjects and the Agents/Brochures sheets; must
+ *                 match the page's data-lead-project
+ *   cardTitle     Card heading in properties.html, when not the name
+ *   developer, rera
+ *   location      Card text; locationFilter is the properties.html filter value
+ *   price         Card text ("₹1.38 Cr*"); priceFilter is the budget filter value
+ *   bhk, type     Card features, with optional bhkIcon / typeIcon (default
+ *                 fa-bed / fa-building); bhkFilter and typeFilter are filter values
+ *   status        Card badge; statusFilter is the possession filter value
+ *   amenities     Amenity filter values
+ *   brochure      The page offers the brochure download (forms/brochure.js)
+ *   image, imageAlt  Card image
+ *   summary       One-line description for llms.txt, without the price:
+ *                 build-catalog.mjs adds "from <price>" from `price`
+ */
+export const PROJECTS = [
+    {
+        slug: 'grandthum',
+        legacySlugs: [],
+        name: 'Grandthum',
+        developer: 'Group 108',
+        rera: 'UPRERAPRJ106523/01/2026',
+        location: 'Greater Noida West',
+        locationFilter: 'greater-noida',
+        price: '₹45 Lakhs*',
+        priceFilter: 'on-request',
+        bhk: 'Offices & Studios',
+        bhkIcon: 'fa-briefcase',
+        bhkFilter: 'commercial',
+        type: 'Commercial',
+        typeFilter: 'commercial',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['security', 'parking', 'club', 'garden'],
+        brochure: true,
+        image: 'images/Grandthum/tower-c-hero.webp',
+        imageAlt: 'Grandthum',
+        summary: 'Premium commercial office spaces and studio apartments in Greater Noida West.'
+    },
+    {
+        slug: 'gaur-plume',
+        legacySlugs: ['gaurchrysalis2', 'gaur-chrysalis-2'],
+        name: 'Gaur Plume',
+        cardTitle: 'Gaur Plume (Chrysalis 2)',
+        developer: 'Gaur Group',
+        rera: 'UPRERAPRJ622344/11/2025',
+        location: 'Sector 22D, Yamuna Exp.',
+        locationFilter: 'yamuna-expressway',
+        price: '₹1.38 Cr*',
+        priceFilter: '1.38cr',
+        bhk: '3, 4 BHK',
+        bhkFilter: '3,4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'Pre-Launch',
+        statusFilter: 'pre-launch',
+        amenities: ['gym', 'security', 'club'],
+        brochure: true,
+        image: 'images/chryslis-2/27.webp',
+        imageAlt: 'Gaur Chrysalis 2',
+        summary: 'Premium residences by Gaurs Group.'
+    },
+    {
+        slug: 'noida-sector-145-plots',
+        legacySlugs: [],
+        name: 'Noida Sector 145 Plots',
+        developer: 'Noida Authority',
+        rera: '',
+        location: 'Sector 145, Noida',
+        locationFilter: 'noida',
+        price: '₹6.94 Cr*',
+        priceFilter: '6.94cr',
+        bhk: 'Residential Plots',
+        bhkFilter: 'residential-plots',
+        type: 'Plot',
+        typeFilter: 'plot',
+        status: 'Raw Plots',
+        statusFilter: 'ready',
+        amenities: ['security', 'garden', 'parking'],
+        brochure: false,
+        image: 'images/noida-sector-145-plots/thumbnail.webp',
+        imageAlt: 'Noida Sector 145 Kisan Kota Plots',
+        summary: 'Premium Noida Authority approved Kisan Kota residential plots in Sector 145, Noida.'
+    },
+    {
+        slug: 'eldeco-echoes-of-eden',
+        legacySlugs: ['eldecoechoesofeden'],
+        name: 'Eldeco Echoes of Eden',
+        cardTitle: 'Eldeco Echoes Of Eden',
+        developer: 'Eldeco Group',
+        rera: 'UPRERAPRJ106523/01/2026',
+        location: 'Sector 22D, Yamuna Exp.',
+        locationFilter: 'yamuna-expressway',
+        price: '₹1.40 Cr*',
+        priceFilter: '1.4cr',
+        bhk: '3 BHK & Penthouse',
+        bhkFilter: '3',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'Pre-Launch',
+        statusFilter: 'pre-launch',
+        amenities: ['gym', 'pool', 'club', 'security'],
+        brochure: false,
+        image: 'images/eldeco-echoes-of-eden/imgi_2_desktop.webp',
+        imageAlt: 'Eldeco Echoes Of Eden',
+        summary: 'Premium apartment complex by Eldeco.'
+    },
+    {
+        slug: 'gaur-bento',
+        legacySlugs: [],
+        name: 'Gaur Bento',
+        developer: 'Gaur Group',
+        rera: 'UPRERAPRJ106523/01/2026',
+        location: 'Yamuna Expressway',
+        locationFilter: 'yamuna-expressway',
+        price: '₹77 Lacs*',
+        priceFilter: '50l',
+        bhk: 'Studio Apartments',
+        bhkFilter: '1',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'pool', 'club', 'security', 'garden', 'parking'],
+        brochure: false,
+        image: 'images/gaur-bento/img1.webp',
+        imageAlt: 'Gaur Bento',
+        summary: 'Premium studio apartments by Gaur Group on Yamuna Expressway.'
+    },
+    {
+        slug: 'one-fng',
+        legacySlugs: ['onefng'],
+        name: 'One FNG',
+        developer: 'Group 108',
+        rera: 'UPRERAPRJ279516',
+        location: 'Noida',
+        locationFilter: 'noida',
+        price: '₹On Request',
+        priceFilter: 'on-request',
+        bhk: 'Workspaces & Retail',
+        bhkIcon: 'fa-briefcase',
+        bhkFilter: '2,3,4',
+        type: 'Commercial',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'security'],
+        brochure: true,
+        image: 'images/OneFNG/bg-parallax.webp',
+        imageAlt: 'One FNG',
+        summary: 'Commercial and residential development.'
+    },
+    {
+        slug: 'crown-residences-godrej-golf-links-greater-noida',
+        legacySlugs: [],
+        name: 'Crown Residences',
+        developer: 'Godrej Properties & ACE Group',
+        rera: '',
+        location: 'Sector 27, Gr. Noida',
+        locationFilter: 'greater-noida',
+        price: '₹2.85 Cr*',
+        priceFilter: '2.85cr',
+        bhk: '3, 4 BHK',
+        bhkFilter: '3,4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'Pre-Launch',
+        statusFilter: 'pre-launch',
+        amenities: ['gym', 'pool', 'club', 'security', 'garden'],
+        brochure: true,
+        image: 'images/Godrej-Crown/imgi_24_WhatsApp-Image-2026-04-09-at-11.26.45.webp',
+        imageAlt: 'Crown Residences at Godrej Golf Links',
+        summary: 'Ultra-luxury golf residences by Godrej Properties & ACE Group.'
+    },
+    {
+        slug: 'eldeco-7-peaks',
+        legacySlugs: [],
+        name: 'Eldeco 7 Peaks',
+        developer: 'Eldeco Group',
+        rera: 'UPRERAPRJ106523/01/2026',
+        location: 'Omicron 1A, Gr. Noida',
+        locationFilter: 'greater-noida',
+        price: '₹2.34 Cr*',
+        priceFilter: '2.34cr',
+        bhk: '3, 4 BHK & Penthouse',
+        bhkFilter: '3,4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'pool', 'club', 'security'],
+        brochure: true,
+        image: 'images/eldeco-7-peaks/hero.webp',
+        imageAlt: 'Eldeco 7 Peaks',
+        summary: 'Residential apartments by Eldeco.'
+    },
+    {
+        slug: 'ace-parkway',
+        legacySlugs: ['aceparkway'],
+        name: 'Ace Parkway 2.0',
+        developer: 'Ace Group',
+        rera: '',
+        location: 'Sector 150, Noida',
+        locationFilter: 'noida',
+        price: '₹16,995/sq.ft*',
+        priceFilter: '',
+        bhk: '3, 4, 4.5 BHK',
+        bhkFilter: '3,4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'Pre-Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'pool', 'club', 'security'],
+        brochure: true,
+        image: 'images/ace-parkway/imgi_25_Banner-150.webp',
+        imageAlt: 'Ace Parkway 2.0',
+        summary: 'Ultra-Luxurious Apartments in Sector 150, Noida.'
+    },
+    {
+        slug: 'gaur-chrysalis',
+        legacySlugs: ['gaurchrysalis'],
+        name: 'Gaur Chrysalis',
+        developer: 'Gaur Group',
+        rera: 'UPRERAPRJ622344/11/2025',
+        location: 'Sector 22D, Yamuna Exp.',
+        locationFilter: 'yamuna-expressway',
+        price: '₹2.5 Cr*',
+        priceFilter: '2.5cr',
+        bhk: '3, 4 BHK',
+        bhkFilter: '3,4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'Pre-Launch',
+        statusFilter: 'pre-launch',
+        amenities: ['gym', 'security', 'club'],
+        brochure: true,
+        image: 'images/GaurButterfly/heber-davis-JxuMsxmBo-A-unsplash.webp',
+        imageAlt: 'Gaur Chrysalis',
+        summary: 'Premium residences by Gaurs Group.'
+    },
+    {
+        slug: 'max-105',
+        legacySlugs: [],
+        name: 'Max 105',
+        developer: 'Max Estates',
+        rera: '',
+        location: 'Sector 105, Noida Exp.',
+        locationFilter: 'noida',
+        price: '₹10.64 Cr*',
+        priceFilter: '1000+',
+        bhk: '4 BHK + Utility',
+        bhkFilter: '4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'pool', 'club', 'security'],
+        brochure: true,
+        image: 'images/max105/imgi_16_banner.webp',
+        imageAlt: 'Max 105',
+        summary: 'Premium apartment complex.'
+    },
+    {
+        slug: 'experion-saatori',
+        legacySlugs: ['experionsaatori'],
+        name: 'Experion Saatori',
+        developer: 'Experion Developers',
+        rera: 'UPRERAPRJ747628/01/2026',
+        location: 'Sector 151, Noida Exp.',
+        locationFilter: 'noida',
+        price: '₹3.6 Cr*',
+        priceFilter: '3.6cr',
+        bhk: '3, 4 BHK',
+        bhkFilter: '3,4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'pool', 'club', 'security'],
+        brochure: true,
+        image: 'images/experion/imgi_18_banner.webp',
+        imageAlt: 'Experion Saatori',
+        summary: 'Ultra-luxury 3 & 4 BHK apartments in Sector 151, Noida (Experion 151).'
+    },
+    {
+        slug: 'sobha-rivana',
+        legacySlugs: ['sobharivana'],
+        name: 'Sobha Rivana',
+        developer: 'Sobha Limited',
+        rera: 'UPRERAPRJ106523/01/2026',
+        location: 'Sec 1, Noida Ext.',
+        locationFilter: 'noida-extension',
+        price: '₹2.00 Cr*',
+        priceFilter: '2cr',
+        bhk: '3, 4 & 5 BHK',
+        bhkFilter: '3,4,5',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'pool', 'club', 'security'],
+        brochure: false,
+        image: 'images/sobha-rivana/imgi_3_banner1.webp',
+        imageAlt: 'Sobha Rivana',
+        summary: 'Luxury apartment complex by Sobha.'
+    },
+    {
+        slug: 'eldeco-ballads-of-bliss',
+        legacySlugs: ['eldecoballadsofbliss'],
+        name: 'Eldeco Ballads Of Bliss',
+        developer: 'Eldeco Group',
+        rera: 'UPRERAPRJ921261/05/2025',
+        location: 'Sector 135, Noida',
+        locationFilter: 'noida',
+        price: '₹2.5 Cr*',
+        priceFilter: '2.5cr',
+        bhk: '2, 3 BHK',
+        bhkFilter: '2,3',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'pool', 'club'],
+        brochure: true,
+        image: 'images/Eldeco/imgi_2_banner_bg1.webp',
+        imageAlt: 'Eldeco Ballads Of Bliss',
+        summary: 'Premium residences by Eldeco.'
+    },
+    {
+        slug: 'eldeco-whispers-of-wonder',
+        legacySlugs: [],
+        name: 'Eldeco Whispers of Wonder',
+        developer: 'Eldeco Group',
+        rera: 'UPRERAPRJ752382/09/2025',
+        location: 'Sector 22D, Yamuna Exp.',
+        locationFilter: 'yamuna-expressway',
+        price: '₹1.5 Cr*',
+        priceFilter: '1.5cr',
+        bhk: '3, 4 BHK',
+        bhkFilter: '3,4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'pool', 'club', 'security', 'garden', 'parking'],
+        brochure: true,
+        image: 'images/eldeco_wow/imgi_18_g6.webp',
+        imageAlt: 'Eldeco Whispers of Wonder',
+        summary: 'Premium VRV 3 & 4 BHK residences in Sector 22D, Yamuna Expressway.'
+    },
+    {
+        slug: 'ace-acreville',
+        legacySlugs: ['aceacreville'],
+        name: 'Ace Acreville',
+        developer: 'Ace Group',
+        rera: 'UPRERAPRJ248777/03/2025',
+        location: 'Sector 22A, Yamuna Exp.',
+        locationFilter: 'yamuna-expressway',
+        price: '₹1.25 Cr*',
+        priceFilter: '1.25cr',
+        bhk: '100 - 500 Sq. Yds',
+        bhkIcon: 'fa-vector-square',
+        bhkFilter: 'residential-plots',
+        type: 'Residential Plots',
+        typeIcon: 'fa-map',
+        typeFilter: 'plot',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['security', 'club'],
+        brochure: true,
+        image: 'images/ACEAcreville/imgi_3_ACE-Acreville-01.webp',
+        imageAlt: 'Ace Acreville',
+        summary: 'Residential development by ACE Group.'
+    },
+    {
+        slug: 'crc-the-flagship',
+        legacySlugs: [],
+        name: 'CRC The Flagship',
+        developer: 'CRC Group',
+        rera: 'UPRERAPRJ184164, UPRERAPRJ893178',
+        location: 'Sector 140A, Noida',
+        locationFilter: 'noida',
+        price: '₹72.45 Lakhs*',
+        priceFilter: '50l',
+        bhk: 'Offices & Suites',
+        bhkIcon: 'fa-briefcase',
+        bhkFilter: 'commercial',
+        type: 'Commercial',
+        typeFilter: 'commercial',
+        status: 'Under Construction',
+        statusFilter: 'under-construction',
+        amenities: ['security', 'parking', 'gym', 'pool', 'club', 'garden'],
+        brochure: false,
+        image: 'images/crc-the-flagship/imgi_21_b6.webp',
+        imageAlt: 'CRC The Flagship',
+        summary: 'Premium commercial complex with IT/ITES office spaces, high-street retail, and luxury serviced suites in Sector 140A, Noida.'
+    },
+    {
+        slug: 'onyx-by-splendor',
+        legacySlugs: [],
+        name: 'ONYX by Splendor',
+        developer: 'Splendor Group',
+        rera: 'UPRERAPRJ920006/03/2024',
+        location: 'Sector 142, Noida',
+        locationFilter: 'noida',
+        price: '₹25 Lakhs*',
+        priceFilter: '25l',
+        bhk: 'Offices, IT Suites & Retail',
+        bhkIcon: 'fa-briefcase',
+        bhkFilter: 'commercial',
+        type: 'Commercial',
+        typeFilter: 'commercial',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['security', 'parking', 'gym', 'club'],
+        brochure: true,
+        image: 'images/ONYX by Splendor/imgi_25_h2_img2-768x541.webp',
+        imageAlt: 'ONYX by Splendor',
+        summary: 'Premium commercial offices, IT suites, and retail hub in Sector 142, Noida.'
+    },
+    {
+        slug: 'fairfox-eon',
+        legacySlugs: [],
+        name: 'Fairfox EON',
+        developer: 'Fairfox IT Infra Private Limited',
+        rera: 'UPRERAPRJ211016',
+        location: 'Sector 140A, Noida',
+        locationFilter: 'noida',
+        price: '₹45 Lakhs*',
+        priceFilter: 'on-request',
+        bhk: 'Offices & Retail',
+        bhkIcon: 'fa-briefcase',
+        bhkFilter: 'office,retail',
+        type: 'Commercial',
+        typeFilter: 'commercial',
+        status: 'Under Construction',
+        statusFilter: 'under-construction',
+        amenities: ['security', 'parking'],
+        brochure: true,
+        image: 'images/fairfox-eon/imgi_25_popup.webp',
+        imageAlt: 'Fairfox EON',
+        summary: 'Premium IT/ITES commercial park with office spaces and high-street retail shops in Sector 140A, Noida.'
+    },
+    {
+        slug: 'omaxe-prayagraj',
+        legacySlugs: ['omaxeprayagraj'],
+        name: 'Omaxe Be Together Prayagraj',
+        developer: 'Omaxe Group',
+        rera: 'UPRERAPRJ326163',
+        location: 'Civil Lines, Prayagraj',
+        locationFilter: 'prayagraj',
+        price: '₹18,000/sq.ft*',
+        priceFilter: 'on-request',
+        bhk: 'Retail & Office',
+        bhkIcon: 'fa-store',
+        bhkFilter: 'commercial',
+        type: 'Commercial',
+        typeFilter: 'commercial',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['security'],
+        brochure: true,
+        image: 'images/omaxe-prayagraj/about.webp',
+        imageAlt: 'Omaxe Be Together Prayagraj',
+        summary: 'Omaxe Be Together — landmark mixed-use commercial hub in Civil Lines, Prayagraj.'
+    },
+    {
+        slug: 'northwind-sanctuary',
+        legacySlugs: [],
+        name: 'NorthWind Sanctuary',
+        developer: 'North Wind Estates',
+        rera: 'Applied',
+        location: 'Sec Pi-1, Greater Noida',
+        locationFilter: 'greater-noida',
+        price: 'Price On Request',
+        priceFilter: 'request',
+        bhk: '3 & 4 BHK',
+        bhkFilter: '3,4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'pool', 'club', 'security'],
+        brochure: true,
+        image: 'images/NorthWindSanctuary/imgi_55_banner1.webp',
+        imageAlt: 'NorthWind Sanctuary',
+        summary: 'Ultra-luxury low-density residences in Sector Pi-1, Greater Noida.'
+    },
+    {
+        slug: 'palm-village',
+        legacySlugs: ['palmvillage'],
+        name: 'Palm Village',
+        developer: 'Nimbus Group',
+        rera: 'UPRERAPRJ558356/04/2024',
+        location: 'Yamuna Exp.',
+        locationFilter: 'yamuna-expressway',
+        price: '₹35 Lakhs*',
+        priceFilter: '35l',
+        bhk: '2, 3 & 4 BHK',
+        bhkFilter: '2,3,4',
+        type: 'Independent Floors',
+        typeIcon: 'fa-house-user',
+        typeFilter: 'villa,townhouse',
+        status: 'Featured',
+        statusFilter: 'featured',
+        amenities: ['gym', 'security', 'club'],
+        brochure: false,
+        image: 'images/palm-village/imgi_3_nimbus-palm-village-banner-d.webp',
+        imageAlt: 'Palm Village',
+        summary: 'Luxury independent floors.'
+    },
+    {
+        slug: 'dasnac-yuva',
+        legacySlugs: ['dasnac'],
+        name: 'Dasnac Yuva',
+        developer: 'Dasnac Clearlake Private Limited',
+        rera: 'UPRERAPRJ871413/01/2025',
+        location: 'Sector 124, Noida',
+        locationFilter: 'noida',
+        price: '₹50 Lakhs*',
+        priceFilter: '50l',
+        bhk: 'Studio & Office Space',
+        bhkIcon: 'fa-cubes',
+        bhkFilter: '2,3',
+        type: 'Mixed-Use',
+        typeFilter: 'apartment',
+        status: 'LEED Platinum',
+        statusFilter: 'featured',
+        amenities: ['gym', 'security', 'solar'],
+        brochure: true,
+        image: 'images/Dasnacyuva/imgi_3_ban.webp',
+        imageAlt: 'Dasnac Yuva',
+        summary: 'Dasnac Yuva LEED Platinum development.'
+    },
+    {
+        slug: 'migsun-nehru-place',
+        legacySlugs: ['migsunnehru'],
+        name: 'Migsun Nehru Place',
+        developer: 'Migsun Group',
+        rera: 'UPRERAPRJ770923/05/2024',
+        location: 'Yamuna Exp., Gr. Noida',
+        locationFilter: 'yamuna-expressway',
+        price: '₹On Request',
+        priceFilter: 'on-request',
+        bhk: '2, 3 & 4 BHK',
+        bhkFilter: '2,3,4',
+        type: 'Apartment',
+        typeFilter: 'apartment',
+        status: 'New Launch',
+        statusFilter: 'new-launch',
+        amenities: ['gym', 'security', 'club'],
+        brochure: true,
+        image: 'images/migsun-nehru-place/Migsun-Nehru-Place-1-67b7141aaef02.webp',
+        imageAlt: 'Migsun Nehru Place',
+        summary: 'Apartment complex by Migsun.'
+    }
+];
+
+/**
+ * The catalog entry for a page slug, current or legacy.
+ *
+ * @param {string} slug - Page file name without .html, e.g. "gaur-plume" or "gaurchrysalis2"
+ * @returns {Object|null}
+ */
+export function findProject(slug) {
+    const key = String(slug || '').toLowerCase();
+    return PROJECTS.find(project => project.slug === key || project.legacySlugs.includes(key)) || null;
+}
@@ -3,15 +3,334 @@
 // -------------------------------
 const SHEET_ID = "1NL8r-5GHl7u5kijgBulLZJy_lX3BGOqJ97F8yYSLkV8";
 const SHEET_NAME = "Sheet1";
-const EXPECTED_TOKEN = "myFrontendToken123";
+const REJECTED_SHEET_NAME = "Rejected";
+const QUARANTINE_SHEET_NAME = "Quarantine";
+const AGENTS_SHEET_NAME = "Agents";
+const PRIVACY_LOG_SHEET_NAME = "Privacy Log";
+const WEBHOOKS_SHEET_NAME = "Webhooks";
+const DELIVERIES_SHEET_NAME = "Deliveries";
+const ADS_CONVERSIONS_SHEET_NAME = "Ads Conversions";
+const BROCHURES_SHEET_NAME = "Brochures";
+const VISIT_SLOTS_SHEET_NAME = "Visit Slots";
+const SITE_VISITS_SHEET_NAME = "Site Visits";
+const PARTIAL_LEADS_SHEET_NAME = "Partial Leads";
 
-// Only these websites are allowed to send data:
+// Dates shown to the team (dashboard days, Ads conversion times) are in IST.
+const TIME_ZONE = "Asia/Kolkata";
+
+// Submission tokens are issued by doGet (?action=token) and signed with the
+// TOKEN_SECRET script property (File > Project properties > Script properties).
+// A random secret is generated on first use if none is set.
+const TOKEN_TTL_MS = 30 * 60 * 1000;
+
+// Sites whose forms may request tokens and send leads. `origin` is a form
+// field the page fills in itself (analytics/forms.js), not the browser's
+// Origin header, which Apps Script can't see: anything outside a browser can
+// send an allowed value. This only turns away other sites' forms; the signed
+// submission token is the check doPost relies on.
 const ALLOWED_ORIGINS = [
   "https://urbaninvestors.in",
   "https://www.urbaninvestors.in",
   "https://urbaninvestors.com",
   "https://www.urbaninvestors.com",
-  "http://localhost:5500"
+  "http://localhost:5500",
+  "http://127.0.0.1:5500"
+];
+
+// Sheet header for each known parameter. Columns are matched by header
+// text, so their order in the sheet doesn't matter. Parameters not listed
+// here get a title-cased header ("utm_device" -> "Utm Device").
+const FIELD_HEADERS = {
+  timestamp: "Timestamp",
+  full_name: "Name",
+  email: "Email",
+  phone: "Phone",
+  subject: "Subject",
+  investment_range: "Investment Range",
+  message: "Message",
+  token: "Token",
+  session_id: "Session ID",
+  event_id: "Event ID",
+  first_source: "First Source",
+  first_medium: "First Medium",
+  first_campaign: "First Campaign",
+  first_gclid: "First GCLID",
+  entry_time: "Entry Time",
+  latest_source: "Latest Source",
+  latest_medium: "Latest Medium",
+  latest_campaign: "Latest Campaign",
+  latest_gclid: "Latest GCLID",
+  latest_keyword: "Latest Keyword",
+  latest_content: "Latest Content",
+  latest_referrer: "Latest Referrer",
+  landing_page: "Landing Page",
+  page_url: "Page URL",
+  page_title: "Page Title",
+  latest_timestamp: "Latest Timestamp",
+  touch_count: "Touch Count",
+  last_touch: "Last Touch",
+  touch_history: "Touch History",
+  spam_score: "Spam Score",
+  spam_reasons: "Spam Reasons",
+  quality_score: "Quality Score",
+  quality_reasons: "Quality Reasons",
+  engagement: "Engagement",
+  phone_verified: "Phone Verified",
+  nri: "NRI",
+  intent: "Intent",
+  configuration: "Configuration",
+  possession_timeline: "Possession Timeline",
+  callback_time: "Callback Time",
+  visit_date: "Visit Date",
+  visit_time: "Visit Time",
+  transport: "Transport",
+  pickup_address: "Pickup Address",
+  booking_id: "Booking ID",
+  assigned_to: "Assigned To",
+  status: "Status",
+  status_updated_at: "Status Updated",
+  consent: "Consent",
+  consent_policy_version: "Consent Policy Version",
+  consent_at: "Consent At",
+  consent_text: "Consent Text",
+  webhook_status: "Webhook Status",
+  extra_fields: "Extra Fields"
+};
+
+// Columns only the script writes. Incoming parameters with these names are
+// ignored so a crafted POST can't, say, mark itself "Booked".
+const SERVER_FIELDS = [
+  "timestamp",
+  "touch_count",
+  "last_touch",
+  "touch_history",
+  "spam_score",
+  "spam_reasons",
+  "quality_score",
+  "quality_reasons",
+  "phone_verified",
+  "nri",
+  "booking_id",
+  "assigned_to",
+  "status",
+  "status_updated_at",
+  "consent_at",
+  "consent_text",
+  "webhook_status",
+  "extra_fields"
+];
+
+// camelCase duplicates some pages still send alongside the snake_case keys.
+const FIELD_ALIASES = {
+  fullName: "full_name",
+  emailAddress: "email",
+  phoneNumber: "phone",
+  investmentRange: "investment_range",
+  Token: "token"
+};
+
+// New snake_case keys get their own column; anything else (or anything
+// past MAX_COLUMNS) is kept as JSON in the "Extra Fields" column.
+const AUTO_COLUMN_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const MAX_COLUMNS = 80;
+
+// A second submission from the same session, phone and form inside this
+// window is a double-click / network retry, not a new touch.
+const RETRY_WINDOW_MS = 2 * 60 * 1000;
+
+// Oldest touches are dropped beyond this so the history cell stays small.
+const MAX_TOUCHES = 50;
+
+// Fields that keep their first value when a lead returns (they are only
+// filled in if still empty). Everything else is refreshed from the newest
+// submission.
+const KEEP_FIRST_FIELDS = [
+  "timestamp",
+  "full_name",
+  "email",
+  "phone",
+  "token",
+  "session_id",
+  "event_id",
+  "first_source",
+  "first_medium",
+  "first_campaign",
+  "first_gclid",
+  "entry_time",
+  "landing_page",
+  "touch_count",
+  "last_touch",
+  "touch_history",
+  "assigned_to",
+  "status"
+];
+
+// Spam scoring: leads scoring SPAM_THRESHOLD or more go to the Quarantine
+// sheet instead of Sheet1. See scoreSpam() for the individual signals.
+const SPAM_THRESHOLD = 50;
+const MIN_SUBMIT_MS = 3000;           // faster than a person can type name + phone
+const PHONE_LIMIT = 3;                // accepted leads per phone ...
+const PHONE_WINDOW_SECONDS = 60 * 60; // ... per hour
+const SESSION_LIMIT = 5;              // accepted leads per session ...
+const SESSION_WINDOW_SECONDS = 10 * 60; // ... per 10 minutes
+
+// Lead routing. Agents are configured in the "Agents" sheet with the header
+//   Name | Email | Projects | Min Budget (Cr) | Active
+// where Projects is a comma-separated list of project names as they appear
+// in form subjects ("Grandthum, Max 105") and Min Budget is the smallest
+// investment (in crore) the agent handles. Leads that match no rule go
+// round-robin to all active agents; with no agents configured, the
+// notification goes to FALLBACK_NOTIFY_EMAIL.
+const DEFAULT_STATUS = "New";
+const FALLBACK_NOTIFY_EMAIL = "info@urbaninvestors.in";
+const UNASSIGNED = "Unassigned";
+
+// Client-side anti-spam signals (forms/antispam.js). Scored, then dropped
+// so they don't become sheet columns.
+const SPAM_SIGNAL_FIELDS = ["website", "form_elapsed_ms", "form_interactions"];
+
+// Lead quality: a 0-100 score so sales can work the best leads first. See
+// scoreQuality() for the points; "engagement" is the visitor summary sent by
+// analytics/engagement.js ({ visits, pages, seconds, scroll }).
+const QUALITY_FORM_POINTS = [
+  // [subject pattern, points, label] — first match wins
+  [/site visit|book|callback/i, 20, "visit/callback request"],
+  [/price|compare|roi/i, 15, "pricing request"],
+  [/enquir|inquir/i, 10, "enquiry"],
+  [/brochure|download/i, 8, "brochure request"],
+  [/exit/i, 5, "exit popup"]
+];
+const QUALITY_ENGAGEMENT_FIELDS = ["visits", "pages", "seconds", "scroll"];
+
+// Validation. Phones are stored in E.164; numbers without a country code are
+// read as Indian. Popup forms that don't ask for an email post a placeholder
+// on these domains (getprice@lead.com, brochure@lead.com, ...), which is
+// saved as "no email".
+const DEFAULT_COUNTRY_CODE = "91";
+const PLACEHOLDER_EMAIL_DOMAINS = ["lead.com"];
+const MAX_NAME_LENGTH = 100;
+
+// Consent wording shown by forms/consent.js, per privacy policy version (the
+// policy's effective date). Add the new wording before bumping the version
+// on the site, and never remove an entry: cached pages may still send it.
+const CONSENT_TEXTS = {
+  "2026-05-04": "I agree to Urban Investors contacting me by call, SMS, WhatsApp or email about properties, and to the use of my details as described in the Privacy Policy."
+};
+
+// Sheets searched by privacy export/delete requests, matched on their
+// "Phone" column. Any new sheet that stores a phone number belongs here.
+const PERSONAL_DATA_SHEETS = [SHEET_NAME, QUARANTINE_SHEET_NAME, REJECTED_SHEET_NAME, DELIVERIES_SHEET_NAME, SITE_VISITS_SHEET_NAME];
+
+// CRM webhooks. Endpoints are configured in the "Webhooks" sheet with the header
+//   Name | URL | Active
+// Every saved lead is queued for each active URL and POSTed as JSON by
+// retryWebhookDeliveries() (run installWebhookTrigger() once), which also
+// retries failures with exponential backoff. If the WEBHOOK_SECRET script property is set, each
+// request carries X-Urban-Signature: sha256=<hex HMAC of the body>.
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = 5 * 60 * 1000; // 5, 10, 20, 40, 80 min
+const WEBHOOK_RETRY_BATCH = 50;              // deliveries per trigger run
+const WEBHOOK_TRIGGER_MINUTES = 1;           // how soon a queued lead is sent
+
+// Google Ads offline conversions. Leads whose Status the sales team sets to
+// one of these keys are exported with their GCLID by exportAdsConversions()
+// (menu: Urban Investors > Export Google Ads conversions). Names must match
+// the conversion actions in Google Ads exactly; values are in ADS_CURRENCY.
+const ADS_CONVERSIONS = {
+  Qualified: { name: "Qualified Lead", value: 5000 },
+  Booked: { name: "Booking", value: 100000 }
+};
+const ADS_CURRENCY = "INR";
+const GCLID_MAX_AGE_DAYS = 90; // Google Ads rejects conversions for older clicks
+
+// Brochure delivery. Files are listed per project in the "Brochures" sheet:
+//   Project | URL | Active
+// (Project as in form subjects, URL e.g. a Drive "Anyone with the link" share
+// or a PDF on the site). After a brochure request, the page asks for a signed
+// link to ?action=brochure that stops working after BROCHURE_LINK_TTL_MS.
+// Only that landing page expires: it shows the file's own URL, which keeps
+// working for anyone who has it. Use a URL that can't be guessed (not a
+// listed /brochures/ path) and replace the file and row if it gets shared.
+const BROCHURE_LINK_TTL_MS = 15 * 60 * 1000;
+const BROCHURE_REQUEST_WINDOW_MS = 30 * 60 * 1000; // link must be asked for this soon after the request
+const BROCHURE_SUBJECT_PREFIX = "Brochure Download - ";
+
+// Site visits. Bookable times per project are set in the "Visit Slots" sheet:
+//   Project | Days | Times | Capacity | Location | Active
+// e.g. "Gaur Plume | Sat, Sun | 11:00, 15:00 | 2 | Gaur Plume site office, Sector 22D".
+// Days is "Daily" or day names; Times are IST; Capacity is how many visits
+// one slot takes (default 1). A "*" project applies to every project without
+// rows of its own. Bookings are written to the "Site Visits" sheet; setting a
+// booking's Status to "Cancelled" frees its slot.
+const VISIT_DAYS_AHEAD = 14;
+const VISIT_MIN_NOTICE_HOURS = 3;
+const VISIT_DURATION_MINUTES = 60;
+const VISIT_UTC_OFFSET = "+05:30"; // TIME_ZONE (IST) has no daylight saving
+const VISIT_TRANSPORT = ["pickup", "self-drive"];
+const VISIT_CANCELLED = "Cancelled";
+
+// Qualification wizard (forms/wizard.js). The enquiry and contact forms ask
+// these one step at a time, before the contact details. Each answered step
+// is saved to the "Partial Leads" sheet (one row per visitor session), so an
+// abandoned wizard still shows what the visitor was after, and a lead sent
+// later in the same session picks up the answers it didn't carry itself.
+// Partial saves keep only the listed answers.
+const QUALIFICATION_ANSWERS = {
+  intent: ["Investment", "Self use"],
+  investment_range: ["₹50 Lakhs - ₹1 Crore", "₹1 Crore - ₹5 Crore", "₹5 Crore - ₹10 Crore", "₹10 Crore+"],
+  configuration: ["1 BHK", "2 BHK", "3 BHK", "4+ BHK", "Plot", "Commercial"],
+  possession_timeline: ["Ready to move", "Within 1 year", "1-3 years", "Flexible"],
+  callback_time: ["Morning (9am-12pm)", "Afternoon (12-4pm)", "Evening (4-8pm)", "Weekend"]
+};
+const PARTIAL_LIMIT = 20;               // partial saves per session ...
+const PARTIAL_WINDOW_SECONDS = 10 * 60; // ... per 10 minutes
+
+// Every doPost reply is also cached by event ID for this long, so a browser
+// that could not read it (CORS blocked, connection dropped) can fetch the
+// outcome with ?action=submission (JSONP) before deciding to resend.
+const SUBMISSION_RESULT_TTL_SECONDS = 30 * 60;
+
+// Phone verification. High-intent forms (Get Price, brochure, site visit)
+// ask for a one-time code before sending the lead. Codes go out through the
+// provider named by the OTP_PROVIDER script property, a key of OTP_PROVIDERS
+// ("twilio", "webhook", or "log" for local testing). With none set,
+// verification is off and those forms send their leads unverified.
+const OTP_LENGTH = 6;
+const OTP_TTL_SECONDS = 10 * 60;
+const OTP_MAX_ATTEMPTS = 5;                // wrong guesses before the code is void
+const OTP_SEND_LIMIT = 3;                  // codes per phone (and per session) ...
+const OTP_SEND_WINDOW_SECONDS = 60 * 60;   // ... per hour
+// Codes only go to the countries the site's phone picker offers (the dialling
+// codes of COUNTRIES in forms/phone.js; dev/lead-endpoint.test.mjs checks the
+// lists match). Other numbers can still send leads, just unverified.
+const OTP_COUNTRY_CODES = ["91", "971", "1", "44", "966", "974", "965", "968", "973", "65", "61",
+  "64", "852", "60", "49", "33", "31", "353", "27", "254", "977"];
+// Codes per clock hour across all visitors. Tokens are free to mint for any
+// session, so the limits above alone don't bound what the SMS bill can reach.
+const OTP_GLOBAL_SEND_LIMIT = 100;
+const OTP_PROOF_TTL_MS = 30 * 60 * 1000;   // leads sent this long after verifying count as verified
+
+// Attribution keys forms.js appends; always present in webhook payloads,
+// even when a lead arrived without them.
+const ATTRIBUTION_FIELDS = [
+  "session_id",
+  "event_id",
+  "first_source",
+  "first_medium",
+  "first_campaign",
+  "first_gclid",
+  "entry_time",
+  "landing_page",
+  "latest_source",
+  "latest_medium",
+  "latest_campaign",
+  "latest_gclid",
+  "latest_keyword",
+  "latest_content",
+  "latest_referrer",
+  "latest_timestamp",
+  "page_url",
+  "page_title"
 ];
 
 // -------------------------------
@@ -19,114 +338,1973 @@ const ALLOWED_ORIGINS = [
 // -------------------------------
 function doPost(e) {
   try {
-    // Origin validation removed because frontend doesn't send 'origin' field
-
-    // ---- TOKEN VALIDATION ----
-    const token = e.parameter.token;
-    if (!token || token !== EXPECTED_TOKEN) {
-      return jsonResponse({ success: false, error: "Invalid token" }, 403);
-    }
-
-    // ---- READ FORM FIELDS ----
-    const fullName = e.parameter.full_name || "";
-    const email = e.parameter.email || "";
-    const phone = e.parameter.phone || "";
-    const investmentRange = e.parameter.investment_range || "";
-    const message = e.parameter.message || "";
-    const subject = e.parameter.subject || "General Enquiry";
-
-    // ---- READ ANALYTICS FIELDS ----
-    const sessionId = e.parameter.session_id || "";
-    const eventId = e.parameter.event_id || "";
-    const firstSource = e.parameter.first_source || "";
-    const firstMedium = e.parameter.first_medium || "";
-    const firstCampaign = e.parameter.first_campaign || "";
-    const firstGclid = e.parameter.first_gclid || "";
-    const entryTime = e.parameter.entry_time || "";
-    const latestSource = e.parameter.latest_source || "";
-    const latestMedium = e.parameter.latest_medium || "";
-    const latestCampaign = e.parameter.latest_campaign || "";
-    const latestGclid = e.parameter.latest_gclid || "";
-    const latestKeyword = e.parameter.latest_keyword || "";
-    const latestContent = e.parameter.latest_content || "";
-    const latestReferrer = e.parameter.latest_referrer || "";
-    const landingPage = e.parameter.landing_page || "";
-    const pageUrl = e.parameter.page_url || "";
-    const pageTitle = e.parameter.page_title || "";
-    const latestTimestamp = e.parameter.latest_timestamp || "";
+    // ---- PRIVACY REQUESTS (staff only, no form token) ----
+    if (e.parameter.action === "privacy_delete") {
+      return handlePrivacyRequest(e.parameter, "delete");
+    }
+
+    // ---- ORIGIN + TOKEN VALIDATION ----
+    // The origin is whatever the client wrote into the form, so it is not
+    // access control on its own. The token is: it must be signed with
+    // TOKEN_SECRET, unexpired, and issued for this session and origin.
+    const origin = e.parameter.origin || "";
+    if (ALLOWED_ORIGINS.indexOf(origin) === -1) {
+      logRejected("Origin not allowed", e.parameter);
+      return submissionResponse(e.parameter, { success: false, error: "Origin not allowed" }, 403);
+    }
+
+    const tokenCheck = verifySubmissionToken(e.parameter.token, e.parameter.session_id, origin);
+    if (!tokenCheck.valid) {
+      logRejected(tokenCheck.reason, e.parameter);
+      return submissionResponse(e.parameter, { success: false, error: "Invalid token" }, 403);
+    }
+
+    // ---- PHONE VERIFICATION CODES (forms/otp.js; no lead yet) ----
+    if (e.parameter.action === "otp_send") return sendPhoneCode(e.parameter);
+    if (e.parameter.action === "otp_verify") return checkPhoneCode(e.parameter);
+
+    // ---- QUALIFICATION WIZARD STEPS (forms/wizard.js; no lead yet) ----
+    if (e.parameter.action === "lead_partial") return savePartialLead(e.parameter);
+
+    // ---- READ FORM + ANALYTICS FIELDS ----
+    const incoming = readParameters(e.parameter);
+    const lead = incoming.fields;
+    lead.timestamp = new Date();
+    lead.subject = lead.subject || "General Enquiry";
 
     // ---- SERVER-SIDE VALIDATION ----
-    if (!fullName || !email || !phone) {
-      return jsonResponse({ success: false, error: "Missing required fields" }, 400);
+    // Normalises phone/email in place. Refused leads are kept in the Rejected
+    // sheet so a mistyped number can still be followed up by hand.
+    const errors = validateLead(lead);
+    if (errors.length) {
+      logRejected("Validation: " + errors.map(function (err) { return err.code; }).join(", "), e.parameter);
+      return submissionResponse(e.parameter, { success: false, error: "Validation failed", errors: errors }, 400);
     }
 
+    // ---- PHONE VERIFICATION ----
+    // Only a proof signed by checkPhoneCode() for this number and session counts.
+    lead.phone_verified = isPhoneVerified(lead.phone_verification, lead.phone, lead.session_id) ? "verified" : "";
+    delete lead.phone_verification;
+
+    // ---- NRI FLAG ----
+    // Forms send the number with the country code picked on the site, so a
+    // non-Indian number means the buyer is abroad. Routed to the NRI desk.
+    lead.nri = isNriPhone(lead.phone) ? "Yes" : "";
+
+    // ---- SPAM SCORING ----
+    const spam = scoreSpam(lead);
+    lead.spam_score = spam.score;
+    lead.spam_reasons = spam.reasons.join(", ");
+    SPAM_SIGNAL_FIELDS.forEach(function (key) { delete lead[key]; });
+
     // ---- GOOGLE SHEET LOADING ----
     const ss = SpreadsheetApp.openById(SHEET_ID);
-    let sheet = ss.getSheetByName(SHEET_NAME);
-    if (!sheet) sheet = ss.getSheets()[0]; // fallback
+    const sheet = getLeadSheet(ss);
+
+    // ---- QUALIFICATION ANSWERS ----
+    // Wizard steps answered earlier in this session fill what the lead lacks.
+    applyPartialAnswers(ss, lead);
+
+    // ---- LEAD QUALITY ----
+    const engagement = parseEngagement(lead.engagement);
+    const quality = scoreQuality(lead, engagement);
+    lead.engagement = engagement ? JSON.stringify(engagement) : "";
+    lead.quality_score = quality.score;
+    lead.quality_reasons = quality.reasons.join(", ");
+
+    // Flagged leads are kept, but out of the sales team's sheet. The reply
+    // looks like a normal save so bots get no signal to adapt to.
+    if (spam.score >= SPAM_THRESHOLD) {
+      quarantineLead(ss, lead, incoming.extra);
+      return submissionResponse(e.parameter, { success: true, message: "Saved successfully", lead_status: "created" }, 200);
+    }
+
+    // ---- SAVE TO SHEET (deduplicated) ----
+    // Serialise writers so two submissions of the same lead can't both append.
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let result;
+    let booking = null;
+    try {
+      // A replay or retry of a saved lead books nothing: it gets back the
+      // visit booked by the submission it repeats, if any.
+      const duplicate = findDuplicate(sheet, lead);
+      if (duplicate) {
+        result = duplicate;
+        const visits = ss.getSheetByName(SITE_VISITS_SHEET_NAME);
+        booking = visits ? findBooking(visits, duplicate.eventId) : null;
+      } else {
+        // A site-visit booking claims its slot first: a full slot refuses the lead.
+        if (lead.visit_date || lead.visit_time) {
+          booking = bookVisit(ss, lead);
+          if (booking.error) {
+            logRejected("Booking: " + booking.error.code, e.parameter);
+            return submissionResponse(e.parameter, { success: false, error: "Booking failed", errors: [booking.error] },
+              booking.error.code === "SLOT_TAKEN" ? 409 : 400);
+          }
+          lead.booking_id = booking.id;
+        }
+        const columns = ensureColumns(sheet, lead, incoming.extra);
+        result = saveLead(sheet, lead, columns);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    const bookingReply = booking ? { booking: booking } : {};
+
+    if (result.status === "duplicate") {
+      return submissionResponse(e.parameter, Object.assign({ success: true, message: "Already received", lead_status: "duplicate" }, bookingReply), 200);
+    }
+
+    recordAcceptedLead(lead);
+
+    // ---- NOTIFY THE ASSIGNED AGENT ----
+    notifyAgent(ss, result.record, result.status);
+
+    // ---- FAN OUT TO CRM WEBHOOKS ----
+    deliverLead(ss, result.record, result.status, lead.event_id);
+
+    // SUCCESS
+    return submissionResponse(e.parameter, Object.assign({ success: true, message: "Saved successfully", lead_status: result.status }, bookingReply), 200);
+
+  } catch (err) {
+    return submissionResponse(e.parameter, { success: false, error: err.toString() }, 500);
+  }
+}
+
+// -------------------------------
+// 🔐 READ-ONLY ENDPOINTS
+// -------------------------------
+// GET ?action=token&session_id=...&origin=...  ->  { success, token, expires_at }
+// GET ?action=leads&key=ADMIN_KEY[&from&to&project&source&status]  ->  { success, count, leads }
+// GET ?action=submission&event_id=...&session_id=...&callback=fn  ->  fn({ ...the doPost reply })  (JSONP)
+// GET ?action=visit_slots&project=...  ->  { success, project, location, days: [{ date, times: [{ time, available }] }] }
+// GET ?action=brochure_link&event_id=...&session_id=...  ->  { success, project, url, expires_at }
+// GET ?action=brochure&p=...&exp=...&sig=...  ->  HTML download page (the signed link itself)
+// GET ?action=privacy_export&key=ADMIN_KEY&phone=...&requested_by=...  ->  { success, phone, count, records }
+// (POST action=privacy_delete takes the same parameters; see handlePrivacyRequest)
+function doGet(e) {
+  try {
+    const params = (e && e.parameter) || {};
+
+    if (params.action === "token") {
+      if (ALLOWED_ORIGINS.indexOf(params.origin || "") === -1) {
+        logRejected("Token requested from disallowed origin", params);
+        return jsonResponse({ success: false, error: "Origin not allowed" }, 403);
+      }
+      if (!params.session_id) {
+        return jsonResponse({ success: false, error: "Missing session_id" }, 400);
+      }
+      return jsonResponse(Object.assign({ success: true }, issueSubmissionToken(params.session_id, params.origin)), 200);
+    }
+
+    if (params.action === "submission") {
+      if (!/^[A-Za-z_$][\w$.]{0,63}$/.test(params.callback || "")) {
+        return jsonResponse({ success: false, error: "Invalid callback" }, 400);
+      }
+      const submitted = readSubmissionResult(params.event_id, params.session_id);
+      if (!submitted) return jsonpResponse(params.callback, { success: false, error: "Not received" }, 404);
+      return jsonpResponse(params.callback, submitted.body, submitted.code);
+    }
+
+    if (params.action === "visit_slots") {
+      const slots = listVisitSlots(SpreadsheetApp.openById(SHEET_ID), params.project);
+      if (!slots) return jsonResponse({ success: false, error: "No visit slots for this project" }, 404);
+      return jsonResponse(Object.assign({ success: true }, slots), 200);
+    }
+
+    if (params.action === "brochure_link") {
+      const link = issueBrochureLink(params.event_id, params.session_id);
+      if (link.error) return jsonResponse({ success: false, error: link.error }, 404);
+      return jsonResponse(Object.assign({ success: true }, link), 200);
+    }
+
+    if (params.action === "brochure") {
+      return brochurePage(params);
+    }
+
+    if (params.action === "privacy_export") {
+      return handlePrivacyRequest(params, "export");
+    }
+
+    if (params.action === "leads") {
+      if (!isAdminKey(params.key)) {
+        return jsonResponse({ success: false, error: "Unauthorized" }, 401);
+      }
+      const leads = listLeads(params);
+      return jsonResponse({ success: true, count: leads.length, leads: leads }, 200);
+    }
+
+    return jsonResponse({ success: false, error: "Unknown action" }, 400);
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.toString() }, 500);
+  }
+}
+
+// -------------------------------
+// 📊 ADMIN LEAD QUERIES
+// -------------------------------
+// Fields returned by ?action=leads. Touch history, tokens and overflow JSON
+// stay in the sheet.
+const LEAD_QUERY_FIELDS = [
+  "timestamp",
+  "last_touch",
+  "full_name",
+  "phone",
+  "email",
+  "subject",
+  "investment_range",
+  "status",
+  "assigned_to",
+  "first_source",
+  "first_medium",
+  "first_campaign",
+  "latest_source",
+  "latest_medium",
+  "latest_campaign",
+  "landing_page",
+  "touch_count",
+  "spam_score",
+  "quality_score",
+  "phone_verified",
+  "nri",
+  "intent",
+  "configuration",
+  "possession_timeline",
+  "callback_time"
+];
+
+// The dashboard key is the ADMIN_KEY script property. Without one set,
+// the leads endpoint stays closed.
+function isAdminKey(key) {
+  const expected = PropertiesService.getScriptProperties().getProperty("ADMIN_KEY");
+  return Boolean(expected && key && safeEqual(key, expected));
+}
+
+// Filters (all optional, combined with AND):
+//   from, to  — YYYY-MM-DD, inclusive, on the lead's first contact (IST)
+//   project   — exact project name as parsed from the subject
+//   source    — matches first_source or latest_source
+//   status    — exact Status value
+function listLeads(params) {
+  const records = readAllLeads(getLeadSheet(SpreadsheetApp.openById(SHEET_ID)));
+  const from = params.from || "";
+  const to = params.to || "";
+  const project = (params.project || "").toLowerCase();
+  const source = (params.source || "").toLowerCase();
+  const status = (params.status || "").toLowerCase();
+
+  return records
+    .map(function (record) {
+      const lead = {
+        project: projectFromSubject(record.subject),
+        // Calendar day of first contact in IST, for per-day charts.
+        day: record.timestamp instanceof Date
+          ? Utilities.formatDate(record.timestamp, TIME_ZONE, "yyyy-MM-dd")
+          : String(record.timestamp).slice(0, 10)
+      };
+      LEAD_QUERY_FIELDS.forEach(function (key) {
+        lead[key] = record[key] === undefined ? "" : record[key];
+      });
+      return lead;
+    })
+    .filter(function (lead) {
+      if (from && lead.day < from) return false;
+      if (to && lead.day > to) return false;
+      if (project && lead.project.toLowerCase() !== project) return false;
+      if (source &&
+          String(lead.first_source).toLowerCase() !== source &&
+          String(lead.latest_source).toLowerCase() !== source) return false;
+      if (status && String(lead.status).toLowerCase() !== status) return false;
+      return true;
+    });
+}
+
+// -------------------------------
+// 🔏 PERSONAL DATA REQUESTS (DPDP)
+// -------------------------------
+// Export or erase everything stored against one phone number. Staff verify
+// the requester owns the number (e.g. by calling it back) and then run the
+// request with the ADMIN_KEY; `requested_by` names who did so. Every request
+// is written to the "Privacy Log" sheet with a hash of the phone, never the
+// number itself, so the log doesn't keep what was erased.
+function handlePrivacyRequest(params, type) {
+  if (!isAdminKey(params.key)) {
+    return jsonResponse({ success: false, error: "Unauthorized" }, 401);
+  }
+  const phone = toE164(params.phone);
+  if (phone.error) {
+    return jsonResponse({ success: false, error: "Invalid phone", code: phone.error }, 400);
+  }
+  const requestedBy = String(params.requested_by || "").trim();
+  if (!requestedBy) {
+    return jsonResponse({ success: false, error: "Missing requested_by" }, 400);
+  }
+
+  const ss = SpreadsheetApp.openById(SHEET_ID);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const matches = findPersonalData(ss, phone.value);
+    if (type === "delete") {
+      // Bottom-up, so earlier deletions don't shift the rows still to go.
+      matches.slice().sort(function (a, b) { return b.row - a.row; }).forEach(function (match) {
+        ss.getSheetByName(match.sheet).deleteRow(match.row);
+      });
+    }
+    logPrivacyRequest(ss, type, phone.value, matches, requestedBy);
+
+    return jsonResponse({
+      success: true,
+      phone: phone.value,
+      count: matches.length,
+      records: type === "export" ? matches : undefined,
+      deleted: type === "delete" ? matches.length : undefined
+    }, 200);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Returns [{ sheet, row, record }] for every row whose Phone matches, with
+// the record keyed by header text so an export reads like the sheet.
+function findPersonalData(ss, phoneKey) {
+  const matches = [];
+  PERSONAL_DATA_SHEETS.forEach(function (name) {
+    const sheet = ss.getSheetByName(name);
+    if (!sheet || sheet.getLastRow() < 2) return;
+    const values = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    const headers = values[0].map(function (header) { return String(header).trim(); });
+    const phoneColumn = headers.indexOf(FIELD_HEADERS.phone);
+    if (phoneColumn === -1) return;
+    for (let i = 1; i < values.length; i++) {
+      if (normalizePhone(values[i][phoneColumn]) !== phoneKey) continue;
+      const record = {};
+      headers.forEach(function (header, c) {
+        if (header) record[header] = values[i][c];
+      });
+      matches.push({ sheet: name, row: i + 1, record: record });
+    }
+  });
+  return matches;
+}
+
+function logPrivacyRequest(ss, type, phoneKey, matches, requestedBy) {
+  let sheet = ss.getSheetByName(PRIVACY_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PRIVACY_LOG_SHEET_NAME);
+    sheet.appendRow(["Timestamp", "Request", "Phone Hash", "Rows", "Sheets", "Requested By"]);
+  }
+  const sheets = matches
+    .map(function (match) { return match.sheet; })
+    .filter(function (name, i, all) { return all.indexOf(name) === i; });
+  sheet.appendRow([new Date(), type, hashPhone(phoneKey), matches.length, sheets.join(", "), requestedBy]);
+}
+
+// SHA-256 of the E.164 number, hex. Lets a later request be matched to the
+// log ("was this number erased?") without storing the number.
+function hashPhone(phoneKey) {
+  return toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, phoneKey));
+}
+
+// -------------------------------
+// 📄 BROCHURE DELIVERY
+// -------------------------------
+// Issues a signed download link for the brochure a visitor just requested.
+// The request is looked up by its event_id and must belong to the asking
+// session, so links can't be minted without submitting the form.
+// Returns { project, url, expires_at } or { error }.
+function issueBrochureLink(eventId, sessionId) {
+  if (!eventId || !sessionId) return { error: "Missing event_id or session_id" };
+
+  const sheet = getLeadSheet(SpreadsheetApp.openById(SHEET_ID));
+  const found = sheet.createTextFinder(eventId).matchCase(true).findNext();
+  if (!found || found.getRow() < 2) return { error: "Request not found" };
+
+  const columns = ensureColumns(sheet, {}, {});
+  const record = readLeadRow(sheet, found.getRow(), columns).record;
+  const touch = parseTouchHistory(record.touch_history).filter(function (t) {
+    return t.event_id === eventId;
+  })[0];
+  if (!touch || touch.session_id !== sessionId || touch.subject.indexOf(BROCHURE_SUBJECT_PREFIX) !== 0) {
+    return { error: "Request not found" };
+  }
+  if (Date.now() - new Date(touch.at).getTime() > BROCHURE_REQUEST_WINDOW_MS) {
+    return { error: "Request expired" };
+  }
+
+  const project = projectFromSubject(touch.subject);
+  if (!findBrochureUrl(project)) return { error: "No brochure for " + project };
+
+  const expires = Date.now() + BROCHURE_LINK_TTL_MS;
+  const url = ScriptApp.getService().getUrl() +
+    "?action=brochure&p=" + encodeURIComponent(project) +
+    "&exp=" + expires +
+    "&sig=" + signPayload(["brochure", project, expires].join("|"));
+  return { project: project, url: url, expires_at: new Date(expires).toISOString() };
+}
+
+// The signed link. Web apps can't redirect or serve PDFs, so this is a small
+// page with a download button pointing at the registered file. The expiry
+// gates this page, not the file URL it reveals (see BROCHURE_LINK_TTL_MS).
+function brochurePage(params) {
+  const project = String(params.p || "");
+  const expires = Number(params.exp);
+  const signed = params.sig && safeEqual(signPayload(["brochure", project, expires].join("|")), String(params.sig));
+  const fileUrl = signed && expires > Date.now() ? findBrochureUrl(project) : "";
+
+  const body = fileUrl
+    ? "<h1>" + escapeHtml(project) + " brochure</h1>" +
+      "<p><a class=\"btn\" href=\"" + escapeHtml(fileUrl) + "\" target=\"_top\" rel=\"noopener\">Download brochure</a></p>"
+    : "<h1>This link has expired</h1>" +
+      "<p>Brochure links work for " + (BROCHURE_LINK_TTL_MS / 60000) + " minutes. Please request the brochure again on the project page, " +
+      "or WhatsApp us and we'll send it to you.</p>";
 
-    // ---- SAVE TO SHEET ----
+  return HtmlService.createHtmlOutput(
+    "<style>body{font-family:Arial,sans-serif;text-align:center;padding:48px 16px;color:#1a1a2e}" +
+    "h1{font-size:22px;color:#1e3a8a}.btn{display:inline-block;background:#1e3a8a;color:#fff;padding:12px 28px;border-radius:8px;text-decoration:none}</style>" +
+    body
+  ).setTitle("Urban Investors Brochure");
+}
+
+// Looks the project up in the Brochures sheet (case-insensitive). Returns "" if none.
+function findBrochureUrl(project) {
+  const sheet = SpreadsheetApp.openById(SHEET_ID).getSheetByName(BROCHURES_SHEET_NAME);
+  if (!project || !sheet || sheet.getLastRow() < 2) return "";
+  const wanted = project.toLowerCase();
+  const row = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues().filter(function (r) {
+    const active = String(r[2]).trim().toLowerCase();
+    return String(r[0]).trim().toLowerCase() === wanted && /^https?:\/\//.test(String(r[1]).trim()) &&
+      active !== "no" && active !== "false";
+  })[0];
+  return row ? String(row[1]).trim() : "";
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, function (c) {
+    return { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" }[c];
+  });
+}
+
+// -------------------------------
+// 🧭 QUALIFICATION WIZARD
+// -------------------------------
+// POST action=lead_partial&form=...&project=...&step=...&<answers>  ->  { success }
+// Sent by forms/wizard.js after each answered step, with the same origin,
+// session_id and token as a lead. Upserts the session's Partial Leads row;
+// answers not in QUALIFICATION_ANSWERS are ignored.
+function savePartialLead(params) {
+  if (countRecent("partial:" + params.session_id, PARTIAL_WINDOW_SECONDS) > PARTIAL_LIMIT) {
+    return jsonResponse({ success: false, error: "Too many requests" }, 429);
+  }
+
+  const ss = SpreadsheetApp.openById(SHEET_ID);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const sheet = getPartialLeadsSheet(ss);
+    const rowNumber = findPartialRow(sheet, params.session_id);
+    const now = new Date();
+    const row = rowNumber
+      ? sheet.getRange(rowNumber, 1, 1, 13).getValues()[0]
+      : [params.session_id, now, "", "", "", "", "", "", "", "", "", "", ""];
+    row[2] = now;
+    row[3] = toCellValue(String(params.form || "").slice(0, 40));
+    row[4] = toCellValue(String(params.project || "").slice(0, 100));
+    Object.keys(QUALIFICATION_ANSWERS).forEach(function (key, i) {
+      if (QUALIFICATION_ANSWERS[key].indexOf(params[key]) !== -1) row[5 + i] = params[key];
+    });
+    row[10] = Math.floor(Number(params.step)) || row[10];
+    row[11] = toCellValue(String(params.page_url || "").slice(0, 500));
+
+    if (rowNumber) sheet.getRange(rowNumber, 1, 1, row.length).setValues([row]);
+    else sheet.appendRow(row);
+  } finally {
+    lock.releaseLock();
+  }
+  return jsonResponse({ success: true });
+}
+
+// Copies the session's wizard answers into the lead's empty fields and
+// marks the Partial Leads row as followed by a lead.
+function applyPartialAnswers(ss, lead) {
+  const sheet = ss.getSheetByName(PARTIAL_LEADS_SHEET_NAME);
+  if (!sheet || !lead.session_id) return;
+  const rowNumber = findPartialRow(sheet, lead.session_id);
+  if (!rowNumber) return;
+
+  const row = sheet.getRange(rowNumber, 1, 1, 13).getValues()[0];
+  Object.keys(QUALIFICATION_ANSWERS).forEach(function (key, i) {
+    if (!lead[key] && row[5 + i]) lead[key] = String(row[5 + i]);
+  });
+  sheet.getRange(rowNumber, 13).setValue("Submitted");
+}
+
+// Returns the 1-based Partial Leads row for a session, or 0.
+function findPartialRow(sheet, sessionId) {
+  if (!sessionId || sheet.getLastRow() < 2) return 0;
+  const sessions = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+  for (let i = 0; i < sessions.length; i++) {
+    if (sessions[i][0] === sessionId) return i + 2;
+  }
+  return 0;
+}
+
+function getPartialLeadsSheet(ss) {
+  let sheet = ss.getSheetByName(PARTIAL_LEADS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PARTIAL_LEADS_SHEET_NAME);
+    sheet.appendRow(["Session ID", "Started At", "Updated At", "Form", "Project", "Intent", "Investment Range", "Configuration", "Possession Timeline", "Callback Time", "Last Step", "Page URL", "Lead"]);
+  }
+  return sheet;
+}
+
+// -------------------------------
+// 🗓️ SITE VISITS
+// -------------------------------
+// Open slots for a project over the next VISIT_DAYS_AHEAD days, leaving
+// VISIT_MIN_NOTICE_HOURS for the team to arrange the visit. Returns
+// { project, location, days: [{ date, times: [{ time, available }] }] },
+// or null if the Visit Slots sheet has nothing for the project.
+function listVisitSlots(ss, project) {
+  const rules = readVisitSlots(ss, project);
+  if (!rules.length) return null;
+
+  const booked = countBookings(ss, project);
+  const earliest = Utilities.formatDate(new Date(Date.now() + VISIT_MIN_NOTICE_HOURS * 3600000), TIME_ZONE, "yyyy-MM-dd HH:mm");
+  const days = [];
+  for (let i = 0; i <= VISIT_DAYS_AHEAD; i++) {
+    const date = Utilities.formatDate(new Date(Date.now() + i * 86400000), TIME_ZONE, "yyyy-MM-dd");
+    const weekday = new Date(date + "T00:00:00Z").getUTCDay();
+    const times = [];
+    rules.forEach(function (rule) {
+      if (rule.days.indexOf(weekday) === -1) return;
+      rule.times.forEach(function (time) {
+        if (date + " " + time < earliest) return;
+        times.push({ time: time, available: (booked[date + " " + time] || 0) < rule.capacity });
+      });
+    });
+    if (times.length) {
+      times.sort(function (a, b) { return a.time < b.time ? -1 : 1; });
+      days.push({ date: date, times: times });
+    }
+  }
+  return { project: project, location: rules[0].location, days: days };
+}
+
+// Books the visit a lead asks for (visit_date, visit_time, transport,
+// pickup_address). Runs under doPost's script lock, so two visitors can't
+// both take a slot's last place. Returns the booking, or { error } with
+// VISIT_SLOT_INVALID, SLOT_TAKEN, TRANSPORT_INVALID or PICKUP_ADDRESS_REQUIRED.
+// A replayed event ID gets its existing booking back.
+function bookVisit(ss, lead) {
+  const fail = function (field, code, message) {
+    return { error: { field: field, code: code, message: message } };
+  };
+  const project = projectFromSubject(lead.subject);
+  const sheet = getSiteVisitsSheet(ss);
+
+  const existing = findBooking(sheet, lead.event_id);
+  if (existing) return existing;
+
+  lead.transport = String(lead.transport || "").toLowerCase();
+  lead.pickup_address = String(lead.pickup_address || "").replace(/\s+/g, " ").trim().slice(0, 300);
+  if (VISIT_TRANSPORT.indexOf(lead.transport) === -1) {
+    return fail("transport", "TRANSPORT_INVALID", "Please choose pickup or self-drive.");
+  }
+  if (lead.transport === "pickup" && !lead.pickup_address) {
+    return fail("pickup_address", "PICKUP_ADDRESS_REQUIRED", "Please tell us where to pick you up.");
+  }
+  if (lead.transport !== "pickup") lead.pickup_address = "";
+
+  const slots = project ? listVisitSlots(ss, project) : null;
+  const day = slots && slots.days.filter(function (d) { return d.date === lead.visit_date; })[0];
+  const slot = day && day.times.filter(function (t) { return t.time === lead.visit_time; })[0];
+  if (!slot) {
+    return fail("visit_time", "VISIT_SLOT_INVALID", "Please pick one of the available times.");
+  }
+  if (!slot.available) {
+    return fail("visit_time", "SLOT_TAKEN", "Sorry, that time has just been booked. Please pick another.");
+  }
+
+  const booking = {
+    id: "SV-" + Utilities.getUuid().slice(0, 8).toUpperCase(),
+    project: project,
+    date: lead.visit_date,
+    time: lead.visit_time,
+    starts_at: visitStart(lead.visit_date, lead.visit_time).toISOString(),
+    duration_minutes: VISIT_DURATION_MINUTES,
+    transport: lead.transport,
+    pickup_address: lead.pickup_address,
+    location: slots.location
+  };
+  sheet.appendRow([
+    booking.id,
+    new Date(),
+    project,
+    "'" + booking.date,
+    "'" + booking.time,
+    lead.full_name,
+    toCellValue(lead.phone),
+    booking.transport,
+    booking.pickup_address,
+    lead.phone_verified || "",
+    "Booked",
+    lead.event_id || "",
+    lead.session_id || "",
+    booking.location
+  ]);
+  return booking;
+}
+
+// Rows of the Visit Slots sheet that apply to the project: its own if it has
+// any, otherwise the "*" rows. Each is { days: [0-6], times: ["HH:mm"], capacity, location }.
+function readVisitSlots(ss, project) {
+  const sheet = ss.getSheetByName(VISIT_SLOTS_SHEET_NAME);
+  if (!project || !sheet || sheet.getLastRow() < 2) return [];
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 6).getValues().filter(function (row) {
+    const active = String(row[5]).trim().toLowerCase();
+    return row[0] && row[2] !== "" && active !== "no" && active !== "false";
+  });
+  const wanted = project.toLowerCase();
+  let own = rows.filter(function (row) { return String(row[0]).trim().toLowerCase() === wanted; });
+  if (!own.length) own = rows.filter(function (row) { return String(row[0]).trim() === "*"; });
+
+  return own.map(function (row) {
+    return {
+      days: parseVisitDays(row[1]),
+      times: parseVisitTimes(row[2]),
+      capacity: Math.max(1, Number(row[3]) || 1),
+      location: String(row[4] || "").trim()
+    };
+  });
+}
+
+// "Daily", "Sat, Sun", "Monday,Tuesday" -> [6, 0], ... (0 = Sunday).
+function parseVisitDays(value) {
+  const names = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+  const text = String(value || "").trim().toLowerCase();
+  if (!text || text === "daily") return [0, 1, 2, 3, 4, 5, 6];
+  return text.split(",").map(function (day) {
+    return names.indexOf(day.trim().slice(0, 3));
+  }).filter(function (day) { return day !== -1; });
+}
+
+// "11:00, 3:30" -> ["11:00", "03:30"]. Sheets turns a lone time into a Date.
+function parseVisitTimes(value) {
+  if (value instanceof Date) return [Utilities.formatDate(value, TIME_ZONE, "HH:mm")];
+  return String(value || "").split(",").map(function (time) {
+    const match = time.trim().match(/^(\d{1,2}):(\d{2})$/);
+    return match && Number(match[1]) < 24 ? ("0" + match[1]).slice(-2) + ":" + match[2] : "";
+  }).filter(String);
+}
+
+// { "yyyy-MM-dd HH:mm": bookings } for the project's slots that are not cancelled.
+function countBookings(ss, project) {
+  const counts = {};
+  const sheet = ss.getSheetByName(SITE_VISITS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return counts;
+  const wanted = project.toLowerCase();
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 11).getValues().forEach(function (row) {
+    if (String(row[2]).trim().toLowerCase() !== wanted || String(row[10]).trim() === VISIT_CANCELLED) return;
+    const key = String(row[3]).trim() + " " + String(row[4]).trim();
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+// The booking made for this event ID, rebuilt from its row, or null.
+function findBooking(sheet, eventId) {
+  if (!eventId || sheet.getLastRow() < 2) return null;
+  const row = sheet.getRange(2, 1, sheet.getLastRow() - 1, 14).getValues().filter(function (r) {
+    return r[11] === eventId;
+  })[0];
+  if (!row) return null;
+  const date = String(row[3]).trim();
+  const time = String(row[4]).trim();
+  return {
+    id: row[0],
+    project: row[2],
+    date: date,
+    time: time,
+    starts_at: visitStart(date, time).toISOString(),
+    duration_minutes: VISIT_DURATION_MINUTES,
+    transport: row[7],
+    pickup_address: row[8],
+    location: row[13]
+  };
+}
+
+function visitStart(date, time) {
+  return new Date(date + "T" + time + ":00" + VISIT_UTC_OFFSET);
+}
+
+// "2026-10-24 11:00, pickup from Sector 62, Noida" for notifications.
+function describeVisit(record) {
+  if (!record.booking_id) return "";
+  return record.visit_date + " " + record.visit_time + ", " +
+    (record.transport === "pickup" ? "pickup from " + record.pickup_address : "self-drive") +
+    " (" + record.booking_id + ")";
+}
+
+function getSiteVisitsSheet(ss) {
+  let sheet = ss.getSheetByName(SITE_VISITS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(SITE_VISITS_SHEET_NAME);
+    sheet.appendRow(["Booking ID", "Booked At", "Project", "Date", "Time", "Name", "Phone", "Transport", "Pickup Address", "Phone Verified", "Status", "Event ID", "Session ID", "Location"]);
+  }
+  return sheet;
+}
+
+// -------------------------------
+// 📱 PHONE VERIFICATION
+// -------------------------------
+// POST action=otp_send&phone=...    ->  { success, phone, expires_in }
+// POST action=otp_verify&phone=...&code=...  ->  { success, verification, expires_at }
+// Both carry the same origin, session_id and token as a lead. The
+// verification is a signed proof the form sends with the lead as
+// phone_verification; doPost then marks the lead's Phone Verified column.
+// Failures answer { success: false, error, errors: [{ field, code, message }] }
+// with OTP_UNAVAILABLE (no provider set, or OTP_GLOBAL_SEND_LIMIT reached),
+// OTP_COUNTRY_UNSUPPORTED, OTP_SEND_FAILED, OTP_TOO_MANY, OTP_EXPIRED or
+// OTP_INVALID (or toE164()'s PHONE_* codes for a bad number).
+
+// SMS / WhatsApp providers. Each send(phone, message) delivers the text to
+// an E.164 number and throws if it could not. Credentials are script
+// properties, so switching providers needs no code change.
+const OTP_PROVIDERS = {
+  // Local stand-in: writes the code to the execution log (the terminal of
+  // dev/lead-server.mjs). Never select it on the live deployment.
+  log: {
+    send: function (phone, message) {
+      console.log("[OTP] " + phone + ": " + message);
+    }
+  },
+
+  // Twilio Programmable Messaging. Properties: TWILIO_ACCOUNT_SID,
+  // TWILIO_AUTH_TOKEN, TWILIO_FROM (the sender number) and optionally
+  // OTP_CHANNEL = "whatsapp" to send through Twilio's WhatsApp sender.
+  twilio: {
+    send: function (phone, message) {
+      const props = PropertiesService.getScriptProperties();
+      const sid = props.getProperty("TWILIO_ACCOUNT_SID");
+      const prefix = props.getProperty("OTP_CHANNEL") === "whatsapp" ? "whatsapp:" : "";
+      const response = UrlFetchApp.fetch("https://api.twilio.com/2010-04-01/Accounts/" + sid + "/Messages.json", {
+        method: "post",
+        headers: { Authorization: "Basic " + Utilities.base64Encode(sid + ":" + props.getProperty("TWILIO_AUTH_TOKEN")) },
+        payload: { To: prefix + phone, From: prefix + props.getProperty("TWILIO_FROM"), Body: message },
+        muteHttpExceptions: true
+      });
+      if (response.getResponseCode() >= 300) throw new Error("Twilio " + response.getResponseCode());
+    }
+  },
+
+  // Any other gateway (MSG91, Gupshup, an in-house WhatsApp bot, ...): POSTs
+  // { phone, code, message } as JSON to the OTP_WEBHOOK_URL property, with
+  // OTP_WEBHOOK_TOKEN (if set) as a Bearer token. Any 2xx counts as sent.
+  webhook: {
+    send: function (phone, message, code) {
+      const props = PropertiesService.getScriptProperties();
+      const token = props.getProperty("OTP_WEBHOOK_TOKEN");
+      const response = UrlFetchApp.fetch(props.getProperty("OTP_WEBHOOK_URL"), {
+        method: "post",
+        contentType: "application/json",
+        headers: token ? { Authorization: "Bearer " + token } : {},
+        payload: JSON.stringify({ phone: phone, code: code, message: message }),
+        muteHttpExceptions: true
+      });
+      if (response.getResponseCode() >= 300) throw new Error("OTP webhook " + response.getResponseCode());
+    }
+  }
+};
+
+function sendPhoneCode(params) {
+  const provider = OTP_PROVIDERS[PropertiesService.getScriptProperties().getProperty("OTP_PROVIDER") || ""];
+  if (!provider) {
+    return otpError(503, "OTP_UNAVAILABLE", "Phone verification is not available right now.");
+  }
+
+  const phone = toE164(params.phone);
+  if (phone.error) {
+    return otpError(400, phone.error, "Please enter a valid phone number.");
+  }
+  // Refused before any count or send: premium-rate ranges abroad are the
+  // usual target of SMS pumping.
+  if (!isOtpCountry(phone.value)) {
+    return otpError(400, "OTP_COUNTRY_UNSUPPORTED", "We can't send codes to this country.");
+  }
+
+  // Every code is a paid message: throttle per number and per visitor.
+  if (countRecent("otp_phone:" + phone.value, OTP_SEND_WINDOW_SECONDS) > OTP_SEND_LIMIT ||
+    countRecent("otp_session:" + params.session_id, OTP_SEND_WINDOW_SECONDS) > OTP_SEND_LIMIT) {
+    return otpError(429, "OTP_TOO_MANY", "Too many codes requested. Please try again in an hour.");
+  }
+  // ... and overall, whoever is asking. Keyed by the hour, so it resets on
+  // the hour however steady the traffic.
+  const hour = Math.floor(Date.now() / (OTP_SEND_WINDOW_SECONDS * 1000));
+  if (countRecent("otp_hour:" + hour, OTP_SEND_WINDOW_SECONDS) > OTP_GLOBAL_SEND_LIMIT) {
+    console.error("OTP global send limit reached for this hour");
+    return otpError(503, "OTP_UNAVAILABLE", "Phone verification is not available right now.");
+  }
+
+  const code = generateOtp();
+  const expiresAt = Date.now() + OTP_TTL_SECONDS * 1000;
+  storeOtp(phone.value, { hash: hashOtp(phone.value, code), session_id: params.session_id, attempts: 0, expires_at: expiresAt });
+
+  try {
+    provider.send(phone.value, code + " is your Urban Investors verification code. It expires in " +
+      OTP_TTL_SECONDS / 60 + " minutes.", code);
+  } catch (err) {
+    console.error("OTP send failed: " + err);
+    CacheService.getScriptCache().remove("otp:" + phone.value);
+    return otpError(502, "OTP_SEND_FAILED", "We couldn't send the code. Please try again.");
+  }
+  return jsonResponse({ success: true, phone: phone.value, expires_in: OTP_TTL_SECONDS }, 200);
+}
+
+function checkPhoneCode(params) {
+  const phone = toE164(params.phone);
+  const cache = CacheService.getScriptCache();
+  const stored = phone.value ? cache.get("otp:" + phone.value) : null;
+  const entry = stored ? JSON.parse(stored) : null;
+  if (!entry || entry.session_id !== params.session_id || entry.expires_at < Date.now()) {
+    return otpError(410, "OTP_EXPIRED", "This code has expired. Please ask for a new one.");
+  }
+
+  const code = String(params.code || "").replace(/\s/g, "");
+  if (!safeEqual(hashOtp(phone.value, code), entry.hash)) {
+    entry.attempts += 1;
+    if (entry.attempts >= OTP_MAX_ATTEMPTS) {
+      cache.remove("otp:" + phone.value);
+      return otpError(429, "OTP_TOO_MANY", "Too many wrong codes. Please ask for a new one.");
+    }
+    storeOtp(phone.value, entry);
+    return otpError(400, "OTP_INVALID", "That code isn't right. Please check the message and try again.");
+  }
+
+  cache.remove("otp:" + phone.value);
+  const expiresAt = Date.now() + OTP_PROOF_TTL_MS;
+  return jsonResponse({
+    success: true,
+    verification: expiresAt + "." + signPayload(["phone", phone.value, params.session_id, expiresAt].join("|")),
+    expires_at: new Date(expiresAt).toISOString()
+  }, 200);
+}
+
+// True if an E.164 number is in one of OTP_COUNTRY_CODES. Dialling codes are
+// prefix-free, so a matching prefix is the number's country.
+function isOtpCountry(phone) {
+  return OTP_COUNTRY_CODES.some(function (code) { return phone.indexOf("+" + code) === 0; });
+}
+
+// True if `proof` was issued by checkPhoneCode() for this (E.164) number and
+// session and hasn't expired.
+function isPhoneVerified(proof, phone, sessionId) {
+  const parts = String(proof || "").split(".");
+  const expiresAt = Number(parts[0]);
+  if (parts.length !== 2 || !expiresAt || expiresAt < Date.now()) return false;
+  return safeEqual(signPayload(["phone", phone, sessionId, expiresAt].join("|")), parts[1]);
+}
+
+// Uniformly random digits from Utilities.getUuid() (a secure random UUID).
+function generateOtp() {
+  const random = parseInt(Utilities.getUuid().replace(/-/g, "").slice(0, 12), 16);
+  return String(random % Math.pow(10, OTP_LENGTH)).padStart(OTP_LENGTH, "0");
+}
+
+// Only a keyed hash of the code is cached, never the code itself.
+function hashOtp(phone, code) {
+  return signPayload(["otp", phone, code].join("|"));
+}
+
+// Keeps the code's original expiry when a wrong guess is recorded.
+function storeOtp(phone, entry) {
+  const seconds = Math.max(1, Math.ceil((entry.expires_at - Date.now()) / 1000));
+  CacheService.getScriptCache().put("otp:" + phone, JSON.stringify(entry), seconds);
+}
+
+function otpError(code, errorCode, message) {
+  return jsonResponse({
+    success: false,
+    error: message,
+    errors: [{ field: errorCode === "OTP_INVALID" ? "code" : "phone", code: errorCode, message: message }]
+  }, code);
+}
+
+// -------------------------------
+// 🔐 SIGNED SUBMISSION TOKENS
+// -------------------------------
+// Token format: base64url("session_id|issued_at_ms|origin") + "." + base64url(HMAC-SHA256)
+function issueSubmissionToken(sessionId, origin) {
+  const issuedAt = Date.now();
+  const payload = [sessionId, issuedAt, origin].join("|");
+  const token = Utilities.base64EncodeWebSafe(payload) + "." + signPayload(payload);
+  return { token: token, expires_at: new Date(issuedAt + TOKEN_TTL_MS).toISOString() };
+}
+
+// Returns { valid: true } or { valid: false, reason } — the reason is only
+// written to the Rejected sheet, never sent back to the client.
+function verifySubmissionToken(token, sessionId, origin) {
+  if (!token) return { valid: false, reason: "Missing token" };
+
+  const parts = String(token).split(".");
+  if (parts.length !== 2) return { valid: false, reason: "Malformed token" };
+
+  let payload;
+  try {
+    payload = Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString();
+  } catch (err) {
+    return { valid: false, reason: "Malformed token" };
+  }
+  if (!safeEqual(signPayload(payload), parts[1])) {
+    return { valid: false, reason: "Bad signature" };
+  }
+
+  const fields = payload.split("|");
+  const issuedAt = Number(fields[1]);
+  if (fields[0] !== sessionId) return { valid: false, reason: "Session mismatch" };
+  if (fields[2] !== origin) return { valid: false, reason: "Origin mismatch" };
+  if (!issuedAt || issuedAt > Date.now() + 60000) return { valid: false, reason: "Bad timestamp" };
+  if (Date.now() - issuedAt > TOKEN_TTL_MS) return { valid: false, reason: "Expired token" };
+
+  return { valid: true };
+}
+
+function signPayload(payload) {
+  return Utilities.base64EncodeWebSafe(
+    Utilities.computeHmacSha256Signature(payload, getTokenSecret())
+  );
+}
+
+function getTokenSecret() {
+  const props = PropertiesService.getScriptProperties();
+  let secret = props.getProperty("TOKEN_SECRET");
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    props.setProperty("TOKEN_SECRET", secret);
+  }
+  return secret;
+}
+
+// Constant-time comparison so signatures can't be guessed byte by byte.
+function safeEqual(a, b) {
+  a = String(a);
+  b = String(b);
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// Records a refused submission in the Rejected sheet so real leads caught by
+// a bad token are never lost and spam volume stays visible.
+function logRejected(reason, parameter) {
+  try {
+    const ss = SpreadsheetApp.openById(SHEET_ID);
+    let sheet = ss.getSheetByName(REJECTED_SHEET_NAME);
+    if (!sheet) {
+      sheet = ss.insertSheet(REJECTED_SHEET_NAME);
+      sheet.appendRow(["Timestamp", "Reason", "Origin", "Session ID", "Event ID", "Name", "Phone", "Page URL", "Parameters"]);
+    }
+    const p = parameter || {};
+    const params = Object.assign({}, p);
+    delete params.token;
+    delete params.Token;
     sheet.appendRow([
       new Date(),
-      fullName,
-      email,
-      phone,
-      subject,
-      investmentRange,
-      message,
-      token,
-      sessionId,
-      eventId,
-      firstSource,
-      firstMedium,
-      firstCampaign,
-      firstGclid,
-      entryTime,
-      latestSource,
-      latestMedium,
-      latestCampaign,
-      latestGclid,
-      latestKeyword,
-      latestContent,
-      latestReferrer,
-      landingPage,
-      pageUrl,
-      pageTitle,
-      latestTimestamp
+      reason,
+      p.origin || "",
+      p.session_id || "",
+      p.event_id || "",
+      p.full_name || p.fullName || "",
+      p.phone || p.phoneNumber || "",
+      p.page_url || "",
+      JSON.stringify(params).slice(0, 50000)
     ]);
+  } catch (err) {
+    // Logging must never turn a 403 into a 500.
+  }
+}
 
-    // SUCCESS
-    return jsonResponse({ success: true, message: "Saved successfully" }, 200);
+// -------------------------------
+// ✅ LEAD VALIDATION
+// -------------------------------
+// Error codes returned in { errors: [{ field, code, message }] }:
+//   NAME_REQUIRED, NAME_TOO_LONG, PHONE_REQUIRED, PHONE_INVALID,
+//   PHONE_COUNTRY_CODE, EMAIL_INVALID, CONSENT_REQUIRED, CONSENT_VERSION_UNKNOWN
+// The message is worded for visitors, so forms can show it as-is.
+function validateLead(lead) {
+  const errors = [];
+  const fail = function (field, code, message) {
+    errors.push({ field: field, code: code, message: message });
+  };
+
+  lead.full_name = String(lead.full_name || "").replace(/\s+/g, " ").trim();
+  if (!lead.full_name) {
+    fail("full_name", "NAME_REQUIRED", "Please enter your name.");
+  } else if (lead.full_name.length > MAX_NAME_LENGTH) {
+    fail("full_name", "NAME_TOO_LONG", "Please enter a shorter name.");
+  }
+
+  const rawPhone = String(lead.phone || "").trim();
+  const phone = toE164(rawPhone);
+  if (!rawPhone) {
+    fail("phone", "PHONE_REQUIRED", "Please enter your phone number.");
+  } else if (phone.error) {
+    fail("phone", phone.error, phone.error === "PHONE_COUNTRY_CODE"
+      ? "Please include your country code (e.g. +44) for numbers outside India."
+      : "Please enter a valid phone number.");
+  } else {
+    lead.phone = phone.value;
+  }
+
+  // Consent (forms/consent.js) must be given against wording we know.
+  const version = String(lead.consent_policy_version || "");
+  if (lead.consent !== "yes") {
+    fail("consent", "CONSENT_REQUIRED", "Please agree to be contacted so we can respond to your enquiry.");
+  } else if (!Object.prototype.hasOwnProperty.call(CONSENT_TEXTS, version)) {
+    fail("consent", "CONSENT_VERSION_UNKNOWN", "This page is out of date. Please refresh it and try again.");
+  } else {
+    lead.consent_at = lead.timestamp;
+    lead.consent_text = CONSENT_TEXTS[version];
+  }
+
+  // Email is optional (popup forms only ask for a phone), but a real one must be valid.
+  const email = String(lead.email || "").trim().toLowerCase();
+  if (!email || isPlaceholderEmail(email)) {
+    lead.email = "";
+  } else if (!/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(email)) {
+    fail("email", "EMAIL_INVALID", "Please enter a valid email address.");
+  } else {
+    lead.email = email;
+  }
+
+  return errors;
+}
+
+// Normalises a phone number to E.164 ("+919810012345"). Accepts "+91 98100-12345",
+// "09810012345", "919810012345", "9810012345" and international numbers written
+// with "+" or "00". Returns { value } or { error }.
+function toE164(phone) {
+  const raw = String(phone || "").trim();
+  let digits = raw.replace(/\D/g, "");
+  let international = raw.charAt(0) === "+";
+  if (!international && digits.indexOf("00") === 0) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  if (!international) {
+    if (digits.length === 11 && digits.charAt(0) === "0") digits = digits.slice(1);
+    if (digits.length === 12 && digits.indexOf(DEFAULT_COUNTRY_CODE) === 0) digits = digits.slice(2);
+    if (digits.length !== 10) {
+      return { error: digits.length > 10 ? "PHONE_COUNTRY_CODE" : "PHONE_INVALID" };
+    }
+    digits = DEFAULT_COUNTRY_CODE + digits;
+  }
+
+  // E.164 allows at most 15 digits; nothing real is shorter than 8.
+  if (digits.length < 8 || digits.length > 15 || digits.charAt(0) === "0") {
+    return { error: "PHONE_INVALID" };
+  }
+  // Indian mobiles: 10 digits starting 6-9. Landlines are not called back.
+  if (digits.indexOf("91") === 0 && !/^91[6-9]\d{9}$/.test(digits)) {
+    return { error: "PHONE_INVALID" };
+  }
+  // "9999999999"-style fillers.
+  if (/^(\d)\1+$/.test(digits.slice(-10))) {
+    return { error: "PHONE_INVALID" };
+  }
+  return { value: "+" + digits };
+}
+
+// True for an E.164 number outside India (the country the site sells in).
+function isNriPhone(phone) {
+  return !!phone && String(phone).indexOf("+" + DEFAULT_COUNTRY_CODE) !== 0;
+}
+
+function isPlaceholderEmail(email) {
+  const domain = email.split("@").pop();
+  return PLACEHOLDER_EMAIL_DOMAINS.indexOf(domain) !== -1;
+}
+
+// -------------------------------
+// 🛡️ SPAM FILTERING
+// -------------------------------
+// Adds up independent signals into a 0-100 score. Returns { score, reasons }.
+function scoreSpam(lead) {
+  let score = 0;
+  const reasons = [];
+  function flag(points, reason) {
+    score += points;
+    reasons.push(reason);
+  }
+
+  // ---- Client signals ----
+  if (lead.website) flag(100, "honeypot filled");
+
+  const elapsed = Number(lead.form_elapsed_ms);
+  if (lead.form_elapsed_ms === undefined || lead.form_elapsed_ms === "") {
+    flag(25, "no client signals");
+  } else if (elapsed < MIN_SUBMIT_MS) {
+    flag(40, "submitted in " + elapsed + "ms");
+  }
+  if (lead.form_interactions === "0") flag(20, "no typing");
+
+  // ---- Content signals ----
+  if (/https?:\/\/|www\.|<[a-z]/i.test((lead.full_name || "") + " " + (lead.message || ""))) {
+    flag(40, "link or markup in text");
+  }
+
+  // ---- Velocity ----
+  // Counts leads already accepted (recordAcceptedLead), so replays and
+  // retries of one submission never add up against an honest visitor.
+  const phoneKey = normalizePhone(lead.phone);
+  if (phoneKey && readRecent("phone:" + phoneKey) >= PHONE_LIMIT) {
+    flag(50, "phone velocity");
+  }
+  if (lead.session_id && readRecent("session:" + lead.session_id) >= SESSION_LIMIT) {
+    flag(50, "session velocity");
+  }
+
+  return { score: Math.min(score, 100), reasons: reasons };
+}
+
+// Counts a lead saved as created or updated towards the velocity limits.
+function recordAcceptedLead(lead) {
+  const phoneKey = normalizePhone(lead.phone);
+  if (phoneKey) countRecent("phone:" + phoneKey, PHONE_WINDOW_SECONDS);
+  if (lead.session_id) countRecent("session:" + lead.session_id, SESSION_WINDOW_SECONDS);
+}
+
+// Increments and returns a counter kept in CacheService. Each hit refreshes
+// the expiry, so a steady trickle keeps counting — fine for throttling.
+function countRecent(key, windowSeconds) {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = "velocity:" + key;
+  const count = readRecent(key) + 1;
+  cache.put(cacheKey, String(count), windowSeconds);
+  return count;
+}
+
+// The counter countRecent() keeps, without counting this call.
+function readRecent(key) {
+  return Number(CacheService.getScriptCache().get("velocity:" + key)) || 0;
+}
 
+// -------------------------------
+// ⭐ LEAD QUALITY
+// -------------------------------
+// Scores how promising a lead is, 0-100, from what it asked for and how the
+// visitor got here and browsed. Returns { score, reasons }; each reason
+// carries its points so the sales team can see why ("budget ₹10 Crore+ +25").
+//   budget      up to 25  (investment range, lower bound)
+//   form        up to 20  (QUALITY_FORM_POINTS)
+//   timeline    10        (wants possession within a year)
+//   source      up to 10  (latest source/medium)
+//   pages       up to 15  (pages viewed, all visits)
+//   time        up to 15  (active time on site, all visits)
+//   visits      up to 15  (repeat visits)
+function scoreQuality(lead, engagement) {
+  let score = 0;
+  const reasons = [];
+  function add(points, reason) {
+    if (!points) return;
+    score += points;
+    reasons.push(reason + " +" + points);
+  }
+
+  // ---- What they asked for ----
+  const budget = budgetInCrore(lead.investment_range);
+  add(budget >= 5 ? 25 : budget >= 1 ? 18 : budget > 0 ? 10 : 0, "budget " + lead.investment_range);
+  const form = QUALITY_FORM_POINTS.filter(function (rule) { return rule[0].test(lead.subject || ""); })[0];
+  if (form) add(form[1], form[2]);
+  if (/^(ready|within)/i.test(lead.possession_timeline || "")) add(10, "buying " + lead.possession_timeline.toLowerCase());
+
+  // ---- How they got here ----
+  const source = (lead.latest_source || "") + " " + (lead.latest_medium || "");
+  if (/cpc|ppc|paid|google ads/i.test(source)) add(10, "paid search");
+  else if (/organic/i.test(source)) add(10, "organic search");
+  else if (/referral/i.test(source)) add(5, "referral");
+  else if (lead.latest_source && !/direct/i.test(lead.latest_source)) add(5, lead.latest_source);
+
+  // ---- How they browsed ----
+  if (!engagement) {
+    reasons.push("no engagement data");
+    return { score: Math.min(score, 100), reasons: reasons };
+  }
+  const pages = engagement.pages;
+  add(pages >= 8 ? 15 : pages >= 4 ? 10 : pages >= 2 ? 5 : 0, pages + " pages");
+  const minutes = Math.round(engagement.seconds / 60);
+  add(engagement.seconds >= 600 ? 15 : engagement.seconds >= 180 ? 10 : engagement.seconds >= 60 ? 5 : 0, minutes + " min on site");
+  const visits = engagement.visits;
+  add(visits >= 3 ? 15 : visits === 2 ? 10 : 0, visits + " visits");
+
+  return { score: Math.min(score, 100), reasons: reasons };
+}
+
+// The client's engagement summary, reduced to known whole-number fields.
+// Returns null when missing or unreadable (old cached pages, popups on
+// pages without analytics).
+function parseEngagement(value) {
+  if (!value) return null;
+  let data;
+  try {
+    data = JSON.parse(value);
   } catch (err) {
-    return jsonResponse({ success: false, error: err.toString() }, 500);
+    return null;
   }
+  if (!data || typeof data !== "object") return null;
+  const summary = {};
+  QUALITY_ENGAGEMENT_FIELDS.forEach(function (key) {
+    const number = Math.floor(Number(data[key]));
+    summary[key] = number > 0 ? number : 0;
+  });
+  return summary;
+}
+
+// Appends a flagged lead to the Quarantine sheet (same header-driven
+// layout as Sheet1, no deduplication) for periodic manual review.
+function quarantineLead(ss, lead, extra) {
+  let sheet = ss.getSheetByName(QUARANTINE_SHEET_NAME);
+  if (!sheet) sheet = ss.insertSheet(QUARANTINE_SHEET_NAME);
+  const columns = ensureColumns(sheet, lead, extra);
+  sheet.appendRow(toRowValues(lead, columns, sheet.getLastColumn()));
 }
 
 // -------------------------------
-// 🔐 JSON RESPONSE + CSP HEADERS
+// 📬 LEAD ROUTING + NOTIFICATIONS
 // -------------------------------
-function jsonResponse(obj, code = 200) {
-  const response = ContentService.createTextOutput(JSON.stringify(obj));
-  response.setMimeType(ContentService.MimeType.JSON);
-
-  // Security Headers
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "POST",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Content-Security-Policy": 
-      "default-src 'none'; " +
-      "img-src https: data:; " +
-      "script-src 'none'; " +
-      "connect-src https:; " +
-      "style-src 'none'; " +
-      "frame-ancestors 'none';"
+// Picks an agent for a new lead: project specialists first, then agents
+// whose minimum budget the lead meets, then everyone. NRI leads only go to
+// agents on the NRI desk, when there are any. Ties are broken round-robin.
+// Returns { name, email } (name is UNASSIGNED if no agents).
+function routeLead(ss, lead) {
+  let agents = readAgents(ss);
+  if (!agents.length) return { name: UNASSIGNED, email: FALLBACK_NOTIFY_EMAIL };
+
+  const nriDesk = agents.filter(function (agent) { return agent.nriDesk; });
+  const prefix = lead.nri && nriDesk.length ? "nri:" : "";
+  if (prefix) agents = nriDesk;
+
+  const project = projectFromSubject(lead.subject).toLowerCase();
+  const budget = budgetInCrore(lead.investment_range);
+
+  let pool = [];
+  let rule = "all";
+  if (project) {
+    pool = agents.filter(function (agent) { return agent.projects.indexOf(project) !== -1; });
+    rule = "project:" + project;
+  }
+  if (!pool.length && budget > 0) {
+    const eligible = agents.filter(function (agent) { return agent.minBudget > 0 && budget >= agent.minBudget; });
+    // Prefer the most senior desk the lead qualifies for.
+    const top = Math.max.apply(null, eligible.map(function (agent) { return agent.minBudget; }));
+    pool = eligible.filter(function (agent) { return agent.minBudget === top; });
+    rule = "budget:" + top;
+  }
+  if (!pool.length) {
+    pool = agents;
+    rule = "all";
+  }
+
+  return pool[nextTurn(prefix + rule, pool.length)];
+}
+
+// Active agents from the Agents sheet, with projects lower-cased for matching.
+// The NRI Desk column (6th, "Yes") is optional.
+function readAgents(ss) {
+  const sheet = ss.getSheetByName(AGENTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 6).getValues();
+  return rows
+    .filter(function (row) {
+      const active = String(row[4]).trim().toLowerCase();
+      return row[0] && row[1] && active !== "no" && active !== "false";
+    })
+    .map(function (row) {
+      return {
+        name: String(row[0]).trim(),
+        email: String(row[1]).trim(),
+        projects: String(row[2] || "").split(",").map(function (p) { return p.trim().toLowerCase(); }).filter(String),
+        minBudget: Number(row[3]) || 0,
+        nriDesk: /^(yes|true)$/i.test(String(row[5]).trim())
+      };
+    });
+}
+
+// Round-robin position per routing rule, persisted in script properties.
+function nextTurn(rule, poolSize) {
+  const props = PropertiesService.getScriptProperties();
+  const key = "rr:" + rule;
+  const turn = (Number(props.getProperty(key)) || 0) % poolSize;
+  props.setProperty(key, String(turn + 1));
+  return turn;
+}
+
+// Extracts the project from the subjects the site sends, e.g.
+// "Price Request - Grandthum", "Brochure Download - Max 105",
+// "Compare Request - One FNG vs Max 105", "General enquiry from Gaur Plume Page".
+function projectFromSubject(subject) {
+  const text = String(subject || "");
+  let match = text.match(/ - (.+?)(?: vs .*)?$/);
+  if (match) return match[1].trim();
+  match = text.match(/^General enquiry from (.+?) Page$/i);
+  if (match && !/contact/i.test(match[1])) return match[1].trim();
+  return "";
+}
+
+// "₹50 Lakhs - ₹1 Crore" -> 0.5, "₹10 Crore+" -> 10. Uses the lower bound.
+function budgetInCrore(range) {
+  const match = String(range || "").match(/([\d.]+)\s*(lakh|lac|crore|cr)/i);
+  if (!match) return 0;
+  const amount = Number(match[1]);
+  return /^l/i.test(match[2]) ? amount / 100 : amount;
+}
+
+// Emails the assigned agent (or the fallback inbox) a summary of the lead
+// and where it came from. Mail failures never affect the saved lead.
+function notifyAgent(ss, record, leadStatus) {
+  try {
+    const agents = readAgents(ss);
+    const agent = agents.filter(function (a) { return a.name === record.assigned_to; })[0];
+    const to = agent ? agent.email : FALLBACK_NOTIFY_EMAIL;
+    const returning = leadStatus === "updated";
+    const project = projectFromSubject(record.subject);
+
+    const lines = [
+      (returning ? "A returning lead" : "A new lead") + " has been assigned to " + (record.assigned_to || UNASSIGNED) + ".",
+      "",
+      "Name: " + (record.full_name || ""),
+      "Phone: " + (record.phone || "") + (record.phone_verified ? " (verified)" : "") + (record.nri ? " — NRI" : ""),
+      "Email: " + (record.email || ""),
+      "Subject: " + (record.subject || ""),
+      "Investment Range: " + (record.investment_range || ""),
+      "Message: " + (record.message || ""),
+      "Looking for: " + [record.intent, record.configuration, record.possession_timeline].filter(String).join(", "),
+      "Best time to call: " + (record.callback_time || ""),
+      "Site visit: " + describeVisit(record),
+      "Status: " + (record.status || ""),
+      "Touches: " + (record.touch_count || 1),
+      "",
+      "— Attribution —",
+      "First touch: " + [record.first_source, record.first_medium, record.first_campaign].filter(String).join(" / "),
+      "Latest touch: " + [record.latest_source, record.latest_medium, record.latest_campaign].filter(String).join(" / "),
+      "Keyword: " + (record.latest_keyword || ""),
+      "Landing page: " + (record.landing_page || ""),
+      "Submitted on: " + (record.page_url || ""),
+      "Spam score: " + (record.spam_score || 0),
+      "Quality score: " + (record.quality_score || 0) + (record.quality_reasons ? " (" + record.quality_reasons + ")" : "")
+    ];
+
+    MailApp.sendEmail({
+      to: to,
+      subject: (record.nri ? "[NRI] " : "") + (returning ? "Returning lead: " : "New lead: ") + (record.full_name || "Unknown") + (project ? " — " + project : ""),
+      body: lines.join("\n")
+    });
+  } catch (err) {
+    console.error("Lead notification failed: " + err);
+  }
+}
+
+// -------------------------------
+// 📈 GOOGLE ADS OFFLINE CONVERSIONS
+// -------------------------------
+// Adds a sheet menu. Only runs when the script is bound to the lead
+// spreadsheet (Extensions > Apps Script); otherwise run the export from the editor.
+function onOpen() {
+  SpreadsheetApp.getUi()
+    .createMenu("Urban Investors")
+    .addItem("Export Google Ads conversions", "exportAdsConversions")
+    .addToUi();
+}
+
+// Simple trigger: stamps "Status Updated" when someone changes a lead's
+// Status by hand, so conversions are reported at the time they happened.
+function onEdit(e) {
+  const sheet = e.range.getSheet();
+  if (sheet.getName() !== SHEET_NAME || e.range.getRow() < 2) return;
+  const columns = ensureColumns(sheet, { status_updated_at: "" }, {});
+  if (e.range.getColumn() > columns.status || e.range.getLastColumn() < columns.status) return;
+
+  const now = new Date();
+  const stamps = [];
+  for (let i = 0; i < e.range.getNumRows(); i++) stamps.push([now]);
+  sheet.getRange(e.range.getRow(), columns.status_updated_at, stamps.length, 1).setValues(stamps);
+}
+
+// Appends a row to the "Ads Conversions" tab for every lead with a GCLID
+// whose Status is in ADS_CONVERSIONS and that isn't exported yet (one row
+// per GCLID and conversion name, so a lead moving Qualified -> Booked gets
+// both). The tab follows Google Ads' upload template and can be scheduled
+// as a Sheets upload (Goals > Conversions > Uploads) or downloaded as CSV.
+function exportAdsConversions() {
+  const ss = SpreadsheetApp.openById(SHEET_ID);
+  const records = readAllLeads(getLeadSheet(ss));
+  const sheet = getAdsConversionsSheet(ss);
+
+  const exported = {};
+  if (sheet.getLastRow() > 2) {
+    sheet.getRange(3, 1, sheet.getLastRow() - 2, 2).getValues().forEach(function (row) {
+      exported[row[0] + "|" + row[1]] = true;
+    });
+  }
+
+  const rows = [];
+  let tooOld = 0;
+  records.forEach(function (record) {
+    const conversion = ADS_CONVERSIONS[String(record.status || "").trim()];
+    if (!conversion) return;
+    // The most recent ad click is the one that brought the lead in.
+    const useLatest = Boolean(record.latest_gclid);
+    const gclid = String(useLatest ? record.latest_gclid : record.first_gclid || "").trim();
+    if (!gclid || exported[gclid + "|" + conversion.name]) return;
+
+    const convertedAt = toDate(record.status_updated_at) || toDate(record.last_touch) || toDate(record.timestamp);
+    const clickedAt = toDate(useLatest ? record.latest_timestamp : record.entry_time);
+    if (!convertedAt) return;
+    if (clickedAt && convertedAt - clickedAt > GCLID_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      tooOld++;
+      return;
+    }
+
+    exported[gclid + "|" + conversion.name] = true;
+    rows.push([
+      toCellValue(gclid),
+      conversion.name,
+      Utilities.formatDate(convertedAt, TIME_ZONE, "yyyy-MM-dd HH:mm:ss"),
+      conversion.value,
+      ADS_CURRENCY
+    ]);
+  });
+
+  if (rows.length) {
+    const range = sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length);
+    range.setNumberFormat("@"); // keep times as text in the format Google Ads expects
+    range.setValues(rows);
+  }
+
+  const message = rows.length + " new conversion(s) added to \"" + ADS_CONVERSIONS_SHEET_NAME + "\"." +
+    (tooOld ? " " + tooOld + " skipped: click older than " + GCLID_MAX_AGE_DAYS + " days." : "");
+  try {
+    SpreadsheetApp.getUi().alert(message);
+  } catch (err) {
+    console.log(message); // run from the editor or a trigger: no UI
+  }
+  return rows.length;
+}
+
+function getAdsConversionsSheet(ss) {
+  let sheet = ss.getSheetByName(ADS_CONVERSIONS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(ADS_CONVERSIONS_SHEET_NAME);
+    sheet.appendRow(["Parameters:TimeZone=" + TIME_ZONE]);
+    sheet.appendRow(["Google Click ID", "Conversion Name", "Conversion Time", "Conversion Value", "Conversion Currency"]);
+  }
+  return sheet;
+}
+
+// Sheet cells hold Dates; attribution fields hold ISO strings.
+function toDate(value) {
+  if (!value) return null;
+  const date = Object.prototype.toString.call(value) === "[object Date]" ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// -------------------------------
+// 🔗 CRM WEBHOOKS
+// -------------------------------
+// Queues a saved lead for every active webhook as rows of the "Deliveries"
+// sheet; retryWebhookDeliveries() sends them on its next run. Nothing is
+// fetched here, so a slow or hanging CRM never holds up the visitor's reply.
+// The lead's "Webhook Status" column summarises the deliveries ("HubSpot:
+// delivered, Zoho: retrying (2)"). Never throws: a CRM outage must not
+// lose or delay the lead.
+function deliverLead(ss, record, leadStatus, eventId) {
+  try {
+    const webhooks = readWebhooks(ss);
+    if (!webhooks.length) return;
+
+    const deliveryId = eventId || Utilities.getUuid();
+    const body = JSON.stringify(buildWebhookPayload(record, leadStatus, deliveryId));
+    const sheet = getDeliveriesSheet(ss);
+    const now = new Date();
+    webhooks.forEach(function (webhook) {
+      sheet.appendRow([now, deliveryId, toCellValue(record.phone || ""), webhook.name, webhook.url, "pending", 0, now, "", body]);
+    });
+    updateWebhookStatus(ss, record.phone, deliveryId);
+  } catch (err) {
+    console.error("Webhook fan-out failed: " + err);
+  }
+}
+
+// Time-driven trigger: sends queued deliveries and retries pending ones
+// whose backoff has elapsed.
+function retryWebhookDeliveries() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(1000)) return; // a doPost or the previous run is busy; next run picks it up
+  try {
+    const ss = SpreadsheetApp.openById(SHEET_ID);
+    const sheet = ss.getSheetByName(DELIVERIES_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) return;
+
+    const now = new Date();
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 10).getValues();
+    const due = [];
+    for (let i = 0; i < rows.length && due.length < WEBHOOK_RETRY_BATCH; i++) {
+      const row = rows[i];
+      if (row[5] !== "pending" || new Date(row[7]) > now) continue;
+      due.push({ row: i + 2, deliveryId: row[1], phone: row[2], name: row[3], url: row[4], attempts: Number(row[6]) || 0, body: row[9] });
+    }
+    if (!due.length) return;
+
+    attemptDeliveries(sheet, due);
+    const seen = {};
+    due.forEach(function (delivery) {
+      if (seen[delivery.deliveryId]) return;
+      seen[delivery.deliveryId] = true;
+      updateWebhookStatus(ss, delivery.phone, delivery.deliveryId);
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Run once from the editor to start sending (Triggers can also be added by
+// hand: retryWebhookDeliveries, time-driven, every minute). Replaces an
+// existing trigger, so running it again updates the interval.
+function installWebhookTrigger() {
+  ScriptApp.getProjectTriggers().forEach(function (trigger) {
+    if (trigger.getHandlerFunction() === "retryWebhookDeliveries") ScriptApp.deleteTrigger(trigger);
+  });
+  ScriptApp.newTrigger("retryWebhookDeliveries").timeBased().everyMinutes(WEBHOOK_TRIGGER_MINUTES).create();
+}
+
+// Sends deliveries in parallel and writes each outcome back to its row:
+// 2xx -> delivered; otherwise pending with the next backoff, or failed
+// once WEBHOOK_MAX_ATTEMPTS is reached.
+function attemptDeliveries(sheet, deliveries) {
+  const secret = PropertiesService.getScriptProperties().getProperty("WEBHOOK_SECRET");
+  const requests = deliveries.map(function (delivery) {
+    const headers = { "X-Urban-Delivery": delivery.deliveryId || "" };
+    if (secret) {
+      headers["X-Urban-Signature"] = "sha256=" + toHex(Utilities.computeHmacSha256Signature(delivery.body, secret));
+    }
+    return {
+      url: delivery.url,
+      method: "post",
+      contentType: "application/json",
+      payload: delivery.body,
+      headers: headers,
+      muteHttpExceptions: true
+    };
+  });
+
+  let responses;
+  try {
+    responses = UrlFetchApp.fetchAll(requests);
+  } catch (err) {
+    // One unreachable host (DNS, timeout) fails the whole batch; retry one
+    // by one so the healthy endpoints still get their delivery. They may see
+    // it twice, so receivers should dedupe on X-Urban-Delivery.
+    responses = requests.map(function (request) {
+      try {
+        return UrlFetchApp.fetch(request.url, request);
+      } catch (fetchErr) {
+        return { error: String(fetchErr) };
+      }
+    });
+  }
+
+  const now = new Date();
+  deliveries.forEach(function (delivery, i) {
+    const response = responses[i];
+    const code = response.error ? 0 : response.getResponseCode();
+    const attempts = delivery.attempts + 1;
+    let status = "delivered";
+    let nextAttempt = "";
+    if (code < 200 || code >= 300) {
+      status = attempts >= WEBHOOK_MAX_ATTEMPTS ? "failed" : "pending";
+      nextAttempt = status === "pending"
+        ? new Date(now.getTime() + WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempts - 1))
+        : "";
+    }
+    const detail = response.error || (code + " " + String(response.getContentText()).slice(0, 200));
+    sheet.getRange(delivery.row, 6, 1, 4).setValues([[status, attempts, nextAttempt, detail]]);
+    delivery.status = status;
+  });
+}
+
+// The lead as sent to CRMs: every column except the form token, with the
+// touch history parsed and all attribution keys present.
+function buildWebhookPayload(record, leadStatus, deliveryId) {
+  const lead = {};
+  ATTRIBUTION_FIELDS.forEach(function (key) { lead[key] = ""; });
+  Object.keys(record).forEach(function (key) {
+    if (key === "token" || key === "webhook_status") return;
+    const value = record[key];
+    lead[key] = Object.prototype.toString.call(value) === "[object Date]" ? value.toISOString() : value;
+  });
+  lead.touch_history = parseTouchHistory(record.touch_history);
+  lead.project = projectFromSubject(record.subject);
+
+  return {
+    event: leadStatus === "updated" ? "lead.updated" : "lead.created",
+    delivery_id: deliveryId,
+    sent_at: new Date().toISOString(),
+    lead: lead
   };
+}
+
+// Rewrites the lead's "Webhook Status" from its deliveries for this submission.
+function updateWebhookStatus(ss, phone, deliveryId) {
+  const deliveries = ss.getSheetByName(DELIVERIES_SHEET_NAME);
+  const rows = deliveries.getRange(2, 1, deliveries.getLastRow() - 1, 7).getValues();
+  const summary = rows
+    .filter(function (row) { return row[1] === deliveryId; })
+    .map(function (row) {
+      if (row[5] !== "pending") return row[3] + ": " + row[5];
+      return row[3] + ": " + (Number(row[6]) ? "retrying (" + row[6] + ")" : "queued");
+    })
+    .join(", ");
+
+  const sheet = getLeadSheet(ss);
+  const columns = ensureColumns(sheet, { webhook_status: summary }, {});
+  const row = findLeadRowByPhone(sheet, columns.phone, normalizePhone(phone));
+  if (row) sheet.getRange(row, columns.webhook_status).setValue(summary);
+}
+
+function readWebhooks(ss) {
+  const sheet = ss.getSheetByName(WEBHOOKS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues()
+    .filter(function (row) {
+      const active = String(row[2]).trim().toLowerCase();
+      return row[0] && /^https?:\/\//.test(String(row[1]).trim()) && active !== "no" && active !== "false";
+    })
+    .map(function (row) {
+      return { name: String(row[0]).trim(), url: String(row[1]).trim() };
+    });
+}
+
+function getDeliveriesSheet(ss) {
+  let sheet = ss.getSheetByName(DELIVERIES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(DELIVERIES_SHEET_NAME);
+    sheet.appendRow(["Created", "Delivery ID", "Phone", "Webhook", "URL", "Status", "Attempts", "Next Attempt", "Last Response", "Payload"]);
+  }
+  return sheet;
+}
+
+function toHex(bytes) {
+  return bytes.map(function (b) { return ("0" + (b & 0xff).toString(16)).slice(-2); }).join("");
+}
+
+// -------------------------------
+// 🧭 HEADER-DRIVEN COLUMN MAPPING
+// -------------------------------
+// Splits raw request parameters into named fields (own column) and extras
+// (JSON overflow). Aliased keys are folded into their snake_case name.
+function readParameters(parameter) {
+  const fields = {};
+  const extra = {};
+  Object.keys(parameter || {}).forEach(function (rawKey) {
+    const key = FIELD_ALIASES[rawKey] || rawKey;
+    if (SERVER_FIELDS.indexOf(key) !== -1) return;
+    const value = String(parameter[rawKey] || "").trim();
+    if (FIELD_HEADERS[key] || AUTO_COLUMN_PATTERN.test(key)) {
+      if (!fields[key]) fields[key] = value;
+    } else if (value) {
+      extra[rawKey] = value;
+    }
+  });
+  return { fields: fields, extra: extra };
+}
+
+function headerFor(key) {
+  return FIELD_HEADERS[key] || key.split("_").map(function (word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }).join(" ");
+}
+
+// Makes sure every field in the lead has a column, creating missing headers
+// at the end of row 1. Fields that don't fit under MAX_COLUMNS are moved
+// into lead.extra_fields together with the already-unmapped extras.
+// Returns { key: columnNumber } for every mapped field.
+function ensureColumns(sheet, lead, extra) {
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastColumn ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  const byHeader = {};
+  headers.forEach(function (header, i) {
+    if (header !== "") byHeader[String(header).trim()] = i + 1;
+  });
+
+  // Bookkeeping columns used by saveLead() always exist.
+  ["timestamp", "phone", "event_id", "touch_count", "last_touch", "touch_history", "assigned_to", "status"].forEach(function (key) {
+    if (!(key in lead)) lead[key] = "";
+  });
+
+  const overflow = Object.assign({}, extra);
+  const added = [];
+  let nextColumn = headers.length + 1;
+  Object.keys(lead).forEach(function (key) {
+    const header = headerFor(key);
+    if (byHeader[header]) return;
+    // Leave room for the Extra Fields column itself.
+    if (nextColumn >= MAX_COLUMNS && key !== "extra_fields") {
+      if (lead[key] !== "") overflow[key] = lead[key];
+      delete lead[key];
+      return;
+    }
+    byHeader[header] = nextColumn++;
+    added.push(header);
+  });
+
+  if (Object.keys(overflow).length) {
+    lead.extra_fields = JSON.stringify(overflow);
+    if (!byHeader[headerFor("extra_fields")]) {
+      byHeader[headerFor("extra_fields")] = nextColumn++;
+      added.push(headerFor("extra_fields"));
+    }
+  }
+
+  if (added.length) {
+    sheet.getRange(1, headers.length + 1, 1, added.length).setValues([added]);
+  }
+
+  const columns = {};
+  Object.keys(lead).forEach(function (key) {
+    columns[key] = byHeader[headerFor(key)];
+  });
+  return columns;
+}
+
+function getLeadSheet(ss) {
+  return ss.getSheetByName(SHEET_NAME) || ss.getSheets()[0]; // fallback
+}
+
+// Inverse of headerFor(): "Latest GCLID" -> "latest_gclid", "Utm Device" -> "utm_device".
+function keyForHeader(header) {
+  const text = String(header).trim();
+  const known = Object.keys(FIELD_HEADERS).filter(function (key) { return FIELD_HEADERS[key] === text; })[0];
+  return known || text.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+// Every data row of a header-mapped sheet as { key: value } objects.
+function readAllLeads(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  if (lastRow < 2 || !lastColumn) return [];
+  const values = sheet.getRange(1, 1, lastRow, lastColumn).getValues();
+  const keys = values[0].map(keyForHeader);
+  return values.slice(1).map(function (row) {
+    const record = {};
+    keys.forEach(function (key, i) {
+      if (key) record[key] = row[i];
+    });
+    return record;
+  });
+}
+
+// Reads one sheet row back into a { key: value } object.
+function readLeadRow(sheet, rowNumber, columns) {
+  const values = sheet.getRange(rowNumber, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const record = {};
+  Object.keys(columns).forEach(function (key) {
+    record[key] = values[columns[key] - 1];
+  });
+  return { values: values, record: record };
+}
+
+function toRowValues(record, columns, width) {
+  const values = [];
+  for (let i = 0; i < width; i++) values.push("");
+  Object.keys(columns).forEach(function (key) {
+    if (record[key] !== undefined) values[columns[key] - 1] = toCellValue(record[key]);
+  });
+  return values;
+}
+
+// Sheets parses "+919810012345" as a number (dropping the "+") and "=..." as
+// a formula. A leading apostrophe stores the text as typed; it is not part
+// of the cell's value when read back.
+function toCellValue(value) {
+  return typeof value === "string" && /^[=+\-@]/.test(value) ? "'" + value : value;
+}
+
+// -------------------------------
+// 🔁 LEAD DEDUPLICATION
+// -------------------------------
+// Appends a new lead, merges a returning one into its existing row, or
+// reports a replay or retry (findDuplicate). Returns { status: "created" | "updated" | "duplicate", row }.
+function saveLead(sheet, lead, columns) {
+  const duplicate = findDuplicate(sheet, lead);
+  if (duplicate) return duplicate;
+
+  const phoneKey = normalizePhone(lead.phone);
+  const existingRow = phoneKey ? findLeadRowByPhone(sheet, columns.phone, phoneKey) : 0;
+  if (!existingRow) {
+    lead.touch_count = 1;
+    lead.last_touch = lead.timestamp;
+    lead.touch_history = JSON.stringify([buildTouch(lead)]);
+    // Routed under the same lock so round-robin turns are never handed out twice.
+    lead.status = DEFAULT_STATUS;
+    lead.assigned_to = routeLead(sheet.getParent(), lead).name;
+    sheet.appendRow(toRowValues(lead, columns, sheet.getLastColumn()));
+    return { status: "created", row: sheet.getLastRow(), record: lead };
+  }
+
+  const current = readLeadRow(sheet, existingRow, columns);
+  const history = parseTouchHistory(current.record.touch_history);
+  history.push(buildTouch(lead));
+  while (history.length > MAX_TOUCHES) history.shift();
+
+  const values = current.values;
+  // A lead keeps its best quality score: a later brochure or newsletter form
+  // doesn't make someone who asked for a site visit less promising.
+  const keepQuality = Number(current.record.quality_score) > Number(lead.quality_score);
+  Object.keys(columns).forEach(function (key) {
+    if (lead[key] === "" || lead[key] === undefined) return;
+    if (KEEP_FIRST_FIELDS.indexOf(key) !== -1 && values[columns[key] - 1] !== "") return;
+    if (keepQuality && (key === "quality_score" || key === "quality_reasons")) return;
+    values[columns[key] - 1] = lead[key];
+  });
+  values[columns.touch_count - 1] = (Number(current.record.touch_count) || 1) + 1;
+  values[columns.last_touch - 1] = lead.timestamp;
+  values[columns.touch_history - 1] = JSON.stringify(history);
+
+  sheet.getRange(existingRow, 1, 1, values.length).setValues([values.map(toCellValue)]);
+  const record = {};
+  Object.keys(columns).forEach(function (key) {
+    record[key] = values[columns[key] - 1];
+  });
+  return { status: "updated", row: existingRow, record: record };
+}
+
+// A submission that repeats one already saved, as { status: "duplicate",
+// row, eventId } with the event ID of the saved submission, or null:
+//   - a replayed event_id (the exact same submission reached us twice), or
+//   - the same session re-sending the same form moments later (new event_id,
+//     same person), a retry rather than a fresh touch.
+function findDuplicate(sheet, lead) {
+  if (lead.event_id && findEventId(sheet, lead.event_id)) {
+    return { status: "duplicate", row: null, eventId: lead.event_id };
+  }
+
+  const phoneKey = normalizePhone(lead.phone);
+  if (!phoneKey || !lead.session_id) return null;
+  const columns = ensureColumns(sheet, {}, {});
+  const row = findLeadRowByPhone(sheet, columns.phone, phoneKey);
+  if (!row) return null;
+
+  const history = parseTouchHistory(readLeadRow(sheet, row, columns).record.touch_history);
+  const last = history[history.length - 1];
+  if (
+    last &&
+    last.session_id === lead.session_id &&
+    last.subject === lead.subject &&
+    lead.timestamp - new Date(last.at) < RETRY_WINDOW_MS
+  ) {
+    return { status: "duplicate", row: row, eventId: last.event_id };
+  }
+  return null;
+}
+
+// Event IDs live in the Event ID column (first touch) and inside the touch
+// history JSON (later touches), so a text search covers both.
+function findEventId(sheet, eventId) {
+  return sheet.createTextFinder(eventId).matchCase(true).findNext() !== null;
+}
+
+// Returns the 1-based row of the most recent lead with this phone, or 0.
+function findLeadRowByPhone(sheet, phoneColumn, phoneKey) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return 0;
+  const phones = sheet.getRange(2, phoneColumn, lastRow - 1, 1).getValues();
+  for (let i = phones.length - 1; i >= 0; i--) {
+    if (normalizePhone(phones[i][0]) === phoneKey) return i + 2;
+  }
+  return 0;
+}
+
+// Reduces "+91 98100-12345", "09810012345" and "9810012345" to one key.
+// Older rows hold the number as typed (or as a number Sheets parsed), so
+// both sides of the comparison go through here. Anything toE164() rejects
+// falls back to its bare digits.
+function normalizePhone(phone) {
+  const e164 = toE164(phone);
+  return e164.value || String(phone || "").replace(/\D/g, "");
+}
+
+function buildTouch(lead) {
+  return {
+    at: lead.timestamp.toISOString(),
+    event_id: lead.event_id || "",
+    session_id: lead.session_id || "",
+    subject: lead.subject || "",
+    source: lead.latest_source || "",
+    medium: lead.latest_medium || "",
+    campaign: lead.latest_campaign || "",
+    page: lead.page_url || "",
+    consent: lead.consent_policy_version || ""
+  };
+}
+
+function parseTouchHistory(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// -------------------------------
+// 📨 SUBMISSION RESULTS
+// -------------------------------
+// Replies to a lead POST and remembers the reply under its event ID (and
+// session, so results can't be looked up by guessing event IDs).
+function submissionResponse(params, obj, code) {
+  if (params && params.event_id) {
+    try {
+      CacheService.getScriptCache().put(
+        "submission:" + params.event_id,
+        JSON.stringify({ session_id: params.session_id || "", body: obj, code: code }),
+        SUBMISSION_RESULT_TTL_SECONDS
+      );
+    } catch (err) {
+      console.error("Could not cache submission result: " + err);
+    }
+  }
+  return jsonResponse(obj, code);
+}
+
+// Returns { body, code } for a recent submission, or null if none arrived.
+function readSubmissionResult(eventId, sessionId) {
+  if (!eventId || !sessionId) return null;
+  const cached = CacheService.getScriptCache().get("submission:" + eventId);
+  if (!cached) return null;
+  const result = JSON.parse(cached);
+  return result.session_id === sessionId ? result : null;
+}
+
+// -------------------------------
+// 🔐 JSON RESPONSE
+// -------------------------------
+// TextOutput has no setHeaders(): web apps always answer 200, and Google's
+// googleusercontent.com redirect adds Access-Control-Allow-Origin: * itself.
+// The intended HTTP status is therefore sent in the body as `status`, which
+// is what clients branch on (400 validation, 403 origin/token, 500 error).
+function jsonResponse(obj, code = 200) {
+  return ContentService
+    .createTextOutput(JSON.stringify(Object.assign({ status: code }, obj)))
+    .setMimeType(ContentService.MimeType.JSON);
+}
 
+// The same reply wrapped in a JSONP callback, for clients that cannot read
+// cross-origin JSON. `callback` must already be validated.
+function jsonpResponse(callback, obj, code = 200) {
   return ContentService
-    .createTextOutput(JSON.stringify(obj))
-    .setMimeType(ContentService.MimeType.JSON)
-    .setContent(JSON.stringify(obj))
-    .setHeaders(headers);
+    .createTextOutput(callback + "(" + JSON.stringify(Object.assign({ status: code }, obj)) + ");")
+    .setMimeType(ContentService.MimeType.JAVASCRIPT);
 }
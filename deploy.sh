@@ -19,7 +19,7 @@ EXCLUDES=(
   ".env" ".env.example" ".env.local"
   "deploy.sh" "update_links.py"
   "urban-investors-deploy.zip" "urban-investors-hostinger.zip"
-  "images/unsplash" "unused_images_bin"
+  "images/unsplash" "unused_images_bin" "dev"
 )
 
 # Strip macOS junk first
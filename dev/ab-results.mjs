@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Significance check for the A/B tests in analytics/experiments.js.
+ *
+ * Reads a CSV of exposure and conversion counts per variant and compares
+ * every variant's conversion rate with the experiment's control using a
+ * two-proportion z-test.
+ *
+ * Two layouts are understood (header names are case-insensitive; lines
+ * starting with # are skipped, as in GA4 exports):
+ *
+ *   Event counts, e.g. a GA4 free-form exploration with the event name,
+ *   experiment_id and variant_id (and optionally conversion_type) as rows
+ *   and Total users as the value:
+ *     Event name,experiment_id,variant_id,conversion_type,Total users
+ *     experiment_exposure,get_price_offer,control,,1840
+ *     experiment_conversion,get_price_offer,control,lead,52
+ *
+ *   Totals you have already added up:
+ *     experiment_id,variant_id,exposures,conversions
+ *
+ * Usage:
+ *   node dev/ab-results.mjs export.csv                      Conversions of type "lead"
+ *   node dev/ab-results.mjs export.csv --conversion=open    Another conversion_type
+ *   node dev/ab-results.mjs export.csv --confidence=0.9     Default 0.95
+ *
+ * Count users rather than events where you can: exposures repeat on every
+ * page view, so event counts understate the rates.
+ */
+
+import fs from 'node:fs';
+
+const EXPOSURE_EVENT = 'experiment_exposure';
+const CONVERSION_EVENT = 'experiment_conversion';
+const COUNT_COLUMNS = ['total users', 'users', 'active users', 'event count', 'count'];
+
+function parseArgs(argv) {
+    const options = { file: '', conversion: 'lead', confidence: 0.95 };
+    for (const arg of argv) {
+        const [key, value] = arg.split('=');
+        if (key === '--conversion') options.conversion = value;
+        else if (key === '--confidence') options.confidence = Number(value);
+        else options.file = arg;
+    }
+    return options;
+}
+
+// Quoted fields may contain commas and doubled quotes
+function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells.map(value => value.trim());
+}
+
+function readRows(file) {
+    const lines = fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .filter(line => line.trim() && !line.startsWith('#'));
+    const headers = parseCsvLine(lines.shift()).map(header => header.toLowerCase().replace(/\s+/g, ' '));
+    return lines.map(line => {
+        const cells = parseCsvLine(line);
+        return Object.fromEntries(headers.map((header, i) => [header, cells[i] || '']));
+    });
+}
+
+function toNumber(value) {
+    return Number(String(value).replace(/,/g, '')) || 0;
+}
+
+/**
+ * Exposures and conversions per experiment and variant:
+ * { experimentId: { variantId: { exposures, conversions } } }
+ */
+function tally(rows, conversionType) {
+    const results = {};
+    const sample = rows[0] || {};
+    const eventColumn = ['event name', 'event_name', 'event'].find(column => column in sample);
+    const countColumn = COUNT_COLUMNS.find(column => column in sample);
+    if (!('experiment_id' in sample) || !('variant_id' in sample)) {
+        throw new Error('The CSV needs experiment_id and variant_id columns');
+    }
+    if (!('exposures' in sample) && (!eventColumn || !countColumn)) {
+        throw new Error(`The CSV needs exposures/conversions columns, or an event name and one of: ${COUNT_COLUMNS.join(', ')}`);
+    }
+
+    for (const row of rows) {
+        if (!row.experiment_id || !row.variant_id) continue;
+        const experiment = results[row.experiment_id] = results[row.experiment_id] || {};
+        const variant = experiment[row.variant_id] = experiment[row.variant_id] || { exposures: 0, conversions: 0 };
+
+        if ('exposures' in row) {
+            variant.exposures += toNumber(row.exposures);
+            variant.conversions += toNumber(row.conversions);
+        } else if (row[eventColumn] === EXPOSURE_EVENT) {
+            variant.exposures += toNumber(row[countColumn]);
+        } else if (row[eventColumn] === CONVERSION_EVENT
+            && (!row.conversion_type || row.conversion_type === conversionType)) {
+            variant.conversions += toNumber(row[countColumn]);
+        }
+    }
+    return results;
+}
+
+// Abramowitz & Stegun 7.1.26, accurate to about 1e-7
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test of a variant against the control.
+ *
+ * @returns {{lift: number|null, z: number, p: number}|null} null when either side has no
+ *   exposures; lift is null when the control has no conversions
+ */
+function compare(control, variant) {
+    if (!control.exposures || !variant.exposures) return null;
+    const controlRate = control.conversions / control.exposures;
+    const variantRate = variant.conversions / variant.exposures;
+    const pooled = (control.conversions + variant.conversions) / (control.exposures + variant.exposures);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.exposures + 1 / variant.exposures));
+    const z = standardError ? (variantRate - controlRate) / standardError : 0;
+    return {
+        lift: controlRate ? (variantRate - controlRate) / controlRate : null,
+        z,
+        p: 2 * (1 - normalCdf(Math.abs(z)))
+    };
+}
+
+function percent(value) {
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+function report(results, options) {
+    for (const [experimentId, variants] of Object.entries(results)) {
+        // experiments.js lists the control first; exports may not
+        const controlId = 'control' in variants ? 'control' : Object.keys(variants)[0];
+        const control = variants[controlId];
+
+        console.log(`\n${experimentId} (conversion: ${options.conversion})`);
+        console.log('  variant             exposures  conversions  rate      lift      p-value');
+        for (const [variantId, counts] of Object.entries(variants)) {
+            const rate = counts.exposures ? counts.conversions / counts.exposures : 0;
+            let verdict = '(control)';
+            let lift = '';
+            let p = '';
+            if (variantId !== controlId) {
+                const result = compare(control, counts);
+                if (!result) {
+                    verdict = 'no exposures';
+                } else {
+                    lift = result.lift === null ? 'n/a' : `${result.lift >= 0 ? '+' : ''}${percent(result.lift)}`;
+                    p = result.p.toFixed(4);
+                    verdict = result.p < 1 - options.confidence
+                        ? `significant at ${percent(options.confidence)}`
+                        : 'not significant yet';
+                }
+            }
+            console.log(`  ${variantId.padEnd(18)}  ${String(counts.exposures).padStart(9)}  ${String(counts.conversions).padStart(11)}  ${percent(rate).padEnd(8)}  ${lift.padEnd(8)}  ${p.padEnd(7)}  ${verdict}`);
+        }
+    }
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!options.file || !(options.confidence > 0 && options.confidence < 1)) {
+    console.error('Usage: node dev/ab-results.mjs export.csv [--conversion=lead] [--confidence=0.95]');
+    process.exit(1);
+}
+try {
+    report(tally(readRows(options.file), options.conversion), options);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,568 @@
+/**
+ * In-memory fakes of the Apps Script services appscript.js uses, so the real
+ * doPost / doGet can run under Node (see dev/lead-server.mjs and
+ * dev/lead-endpoint.test.mjs).
+ *
+ * Only the methods appscript.js calls are implemented, with the same
+ * signatures and return shapes as the Apps Script V8 runtime. Sheets are
+ * persisted as CSV files and script properties as JSON in the data
+ * directory, so state survives server restarts.
+ */
+
+import { spawnSync } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const APPSCRIPT_FILE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'appscript.js');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Dates created inside the vm context fail `instanceof Date` out here (and
+// vice versa), so check the tag instead.
+const isDate = value => Object.prototype.toString.call(value) === '[object Date]';
+
+// A leading apostrophe forces text in Sheets and is not part of the stored value.
+const toStoredValue = value => (typeof value === 'string' && value.charAt(0) === "'" ? value.slice(1) : value);
+
+// ---------------------------------------------------------------------------
+// CSV persistence
+// ---------------------------------------------------------------------------
+
+function toCsvCell(value) {
+    const text = isDate(value) ? value.toISOString() : String(value ?? '');
+    return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function parseCsv(text, DateClass) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else cell += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(cell); cell = '';
+        } else if (c === '\n') {
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else if (c !== '\r') {
+            cell += c;
+        }
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    // Sheets hand back Dates and numbers, not strings.
+    return rows.map(r => r.map(v => {
+        if (ISO_DATE.test(v)) return new DateClass(v);
+        if (v !== '' && /^-?\d+(\.\d+)?$/.test(v) && v.length < 15) return Number(v);
+        return v;
+    }));
+}
+
+// ---------------------------------------------------------------------------
+// SpreadsheetApp
+// ---------------------------------------------------------------------------
+
+class FakeRange {
+    constructor(sheet, row, column, numRows, numColumns) {
+        Object.assign(this, { sheet, row, column, numRows, numColumns });
+    }
+
+    getValues() {
+        const out = [];
+        for (let r = 0; r < this.numRows; r++) {
+            const source = this.sheet.rows[this.row - 1 + r] || [];
+            const line = [];
+            for (let c = 0; c < this.numColumns; c++) {
+                const value = source[this.column - 1 + c];
+                line.push(value === undefined ? '' : value);
+            }
+            out.push(line);
+        }
+        return out;
+    }
+
+    getValue() {
+        return this.getValues()[0][0];
+    }
+
+    setValues(values) {
+        if (values.length !== this.numRows || values.some(v => v.length !== this.numColumns)) {
+            throw new Error('The number of rows or columns in the data does not match the range.');
+        }
+        values.forEach((line, r) => {
+            const target = this.sheet.ensureRow(this.row + r);
+            line.forEach((value, c) => { target[this.column - 1 + c] = toStoredValue(value); });
+        });
+        this.sheet.save();
+        return this;
+    }
+
+    setValue(value) {
+        return this.setValues([[value]]);
+    }
+
+    setNumberFormat() {
+        return this;
+    }
+
+    getSheet() { return this.sheet; }
+    getRow() { return this.row; }
+    getColumn() { return this.column; }
+    getNumRows() { return this.numRows; }
+    getNumColumns() { return this.numColumns; }
+    getLastRow() { return this.row + this.numRows - 1; }
+    getLastColumn() { return this.column + this.numColumns - 1; }
+}
+
+class FakeTextFinder {
+    constructor(sheet, text) {
+        this.sheet = sheet;
+        this.text = String(text);
+        this.caseSensitive = false;
+    }
+
+    matchCase(flag) {
+        this.caseSensitive = flag;
+        return this;
+    }
+
+    findNext() {
+        const needle = this.caseSensitive ? this.text : this.text.toLowerCase();
+        for (let r = 0; r < this.sheet.rows.length; r++) {
+            const line = this.sheet.rows[r];
+            for (let c = 0; c < line.length; c++) {
+                const raw = isDate(line[c]) ? line[c].toISOString() : String(line[c] ?? '');
+                const hay = this.caseSensitive ? raw : raw.toLowerCase();
+                if (hay.includes(needle)) return new FakeRange(this.sheet, r + 1, c + 1, 1, 1);
+            }
+        }
+        return null;
+    }
+}
+
+class FakeSheet {
+    constructor(spreadsheet, name, rows = []) {
+        this.spreadsheet = spreadsheet;
+        this.name = name;
+        this.rows = rows;
+    }
+
+    getName() {
+        return this.name;
+    }
+
+    getParent() {
+        return this.spreadsheet;
+    }
+
+    getLastRow() {
+        let last = this.rows.length;
+        while (last > 0 && this.rows[last - 1].every(v => v === '' || v === undefined)) last--;
+        return last;
+    }
+
+    getLastColumn() {
+        return this.rows.reduce((max, line) => {
+            let width = line.length;
+            while (width > 0 && (line[width - 1] === '' || line[width - 1] === undefined)) width--;
+            return Math.max(max, width);
+        }, 0);
+    }
+
+    getRange(row, column, numRows = 1, numColumns = 1) {
+        if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+            throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+        }
+        return new FakeRange(this, row, column, numRows, numColumns);
+    }
+
+    getDataRange() {
+        return this.getRange(1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+    }
+
+    appendRow(values) {
+        this.rows.splice(this.getLastRow(), 0, values.map(toStoredValue));
+        this.save();
+        return this;
+    }
+
+    deleteRow(row) {
+        this.rows.splice(row - 1, 1);
+        this.save();
+        return this;
+    }
+
+    clear() {
+        this.rows = [];
+        this.save();
+        return this;
+    }
+
+    createTextFinder(text) {
+        return new FakeTextFinder(this, text);
+    }
+
+    ensureRow(row) {
+        while (this.rows.length < row) this.rows.push([]);
+        return this.rows[row - 1];
+    }
+
+    save() {
+        this.spreadsheet.persist(this);
+    }
+}
+
+class FakeSpreadsheet {
+    constructor(dataDir, DateClass) {
+        this.dataDir = dataDir;
+        this.sheets = [];
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.readdirSync(dataDir)
+            .filter(file => file.endsWith('.csv'))
+            .sort()
+            .forEach(file => {
+                const rows = parseCsv(fs.readFileSync(path.join(dataDir, file), 'utf8'), DateClass);
+                this.sheets.push(new FakeSheet(this, file.replace(/\.csv$/, ''), rows));
+            });
+        if (!this.getSheetByName('Sheet1')) this.insertSheet('Sheet1');
+    }
+
+    getSheetByName(name) {
+        return this.sheets.find(sheet => sheet.name === name) || null;
+    }
+
+    getSheets() {
+        return this.sheets.slice();
+    }
+
+    insertSheet(name) {
+        if (this.getSheetByName(name)) {
+            throw new Error(`A sheet with the name "${name}" already exists.`);
+        }
+        const sheet = new FakeSheet(this, name);
+        this.sheets.push(sheet);
+        this.persist(sheet);
+        return sheet;
+    }
+
+    persist(sheet) {
+        const csv = sheet.rows.map(line => line.map(toCsvCell).join(',')).join('\n');
+        fs.writeFileSync(path.join(this.dataDir, sheet.name + '.csv'), csv + (csv ? '\n' : ''));
+    }
+}
+
+// ---------------------------------------------------------------------------
+// ContentService
+// ---------------------------------------------------------------------------
+
+const MIME_TYPES = {
+    HTML: 'text/html',
+    JSON: 'application/json',
+    JAVASCRIPT: 'application/javascript',
+    TEXT: 'text/plain',
+    CSV: 'text/csv'
+};
+
+class FakeTextOutput {
+    constructor(content = '') {
+        this.content = content;
+        this.mimeType = MIME_TYPES.TEXT;
+    }
+
+    setContent(content) { this.content = content; return this; }
+    getContent() { return this.content; }
+    setMimeType(mimeType) { this.mimeType = mimeType; return this; }
+    getMimeType() { return this.mimeType; }
+}
+
+class FakeHtmlOutput extends FakeTextOutput {
+    constructor(html = '') {
+        super(html);
+        this.mimeType = MIME_TYPES.HTML;
+        this.title = '';
+    }
+
+    setTitle(title) { this.title = title; return this; }
+    getTitle() { return this.title; }
+    addMetaTag() { return this; }
+    setXFrameOptionsMode() { return this; }
+    getContent() { return `<!DOCTYPE html><title>${this.title}</title>${this.content}`; }
+}
+
+// ---------------------------------------------------------------------------
+// CacheService / PropertiesService / LockService
+// ---------------------------------------------------------------------------
+
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt < Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    put(key, value, expirationInSeconds = 600) {
+        this.entries.set(key, { value: String(value), expiresAt: Date.now() + expirationInSeconds * 1000 });
+    }
+
+    remove(key) {
+        this.entries.delete(key);
+    }
+}
+
+class FakeProperties {
+    constructor(file, defaults) {
+        this.file = file;
+        this.values = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+        Object.entries(defaults).forEach(([key, value]) => {
+            if (!(key in this.values)) this.values[key] = value;
+        });
+        this.save();
+    }
+
+    getProperty(key) {
+        return key in this.values ? this.values[key] : null;
+    }
+
+    setProperty(key, value) {
+        this.values[key] = String(value);
+        this.save();
+        return this;
+    }
+
+    deleteProperty(key) {
+        delete this.values[key];
+        this.save();
+        return this;
+    }
+
+    getProperties() {
+        return Object.assign({}, this.values);
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify(this.values, null, 2) + '\n');
+    }
+}
+
+// Requests are handled one at a time, so the lock never contends.
+const fakeLock = {
+    waitLock() {},
+    tryLock() { return true; },
+    releaseLock() {},
+    hasLock() { return true; }
+};
+
+// ---------------------------------------------------------------------------
+// Utilities
+// ---------------------------------------------------------------------------
+
+// Apps Script represents binary data as arrays of signed (Java) bytes.
+function toSignedBytes(buffer) {
+    return Array.from(buffer, b => (b > 127 ? b - 256 : b));
+}
+
+function toBuffer(data) {
+    return Array.isArray(data) ? Buffer.from(data.map(b => b & 255)) : Buffer.from(String(data), 'utf8');
+}
+
+function formatDate(date, timeZone, format) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    return format
+        .replace('yyyy', parts.year)
+        .replace('MM', parts.month)
+        .replace('dd', parts.day)
+        .replace('HH', parts.hour)
+        .replace('mm', parts.minute)
+        .replace('ss', parts.second);
+}
+
+const Utilities = {
+    base64EncodeWebSafe: data => toBuffer(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64Encode: data => toBuffer(data).toString('base64'),
+    base64DecodeWebSafe: text => toSignedBytes(Buffer.from(String(text).replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+    base64Decode: text => toSignedBytes(Buffer.from(String(text), 'base64')),
+    computeHmacSha256Signature: (value, key) =>
+        toSignedBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+    computeDigest: (algorithm, value) =>
+        toSignedBytes(crypto.createHash(String(algorithm).toLowerCase().replace('_', '')).update(toBuffer(value)).digest()),
+    DigestAlgorithm: { SHA_256: 'SHA256', MD5: 'MD5' },
+    getUuid: () => crypto.randomUUID(),
+    formatDate,
+    newBlob: data => ({
+        getDataAsString: () => toBuffer(data).toString('utf8'),
+        getBytes: () => (Array.isArray(data) ? data.slice() : toSignedBytes(toBuffer(data)))
+    }),
+    sleep: () => {}
+};
+
+// ---------------------------------------------------------------------------
+// UrlFetchApp
+// ---------------------------------------------------------------------------
+
+// UrlFetchApp is synchronous; run each request in a child Node process and
+// wait for it.
+const FETCH_SCRIPT = `
+let input = '';
+process.stdin.on('data', d => { input += d; }).on('end', async () => {
+    const { url, options } = JSON.parse(input);
+    try {
+        const response = await fetch(url, options);
+        const text = await response.text();
+        process.stdout.write(JSON.stringify({ code: response.status, text, headers: Object.fromEntries(response.headers) }));
+    } catch (error) {
+        process.stderr.write(String(error.cause || error));
+        process.exit(1);
+    }
+});`;
+
+function fetchSync(url, params = {}) {
+    const headers = Object.assign({}, params.headers);
+    let body = params.payload;
+    if (body && typeof body === 'object') {
+        body = new URLSearchParams(body).toString();
+        headers['Content-Type'] = headers['Content-Type'] || 'application/x-www-form-urlencoded';
+    }
+    if (params.contentType) headers['Content-Type'] = params.contentType;
+    const options = { method: String(params.method || 'get').toUpperCase(), headers, body };
+
+    const result = spawnSync(process.execPath, ['-e', FETCH_SCRIPT], {
+        input: JSON.stringify({ url, options }),
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    if (result.status !== 0) {
+        throw new Error(`Exception: Request failed for ${url}: ${result.stderr || result.error || 'timeout'}`);
+    }
+    const response = JSON.parse(result.stdout);
+    if (!params.muteHttpExceptions && response.code >= 400) {
+        throw new Error(`Exception: Request failed for ${url} returned code ${response.code}. Truncated server response: ${response.text.slice(0, 100)}`);
+    }
+    return {
+        getResponseCode: () => response.code,
+        getContentText: () => response.text,
+        getHeaders: () => response.headers
+    };
+}
+
+const UrlFetchApp = {
+    fetch: fetchSync,
+    fetchAll: requests => requests.map(request => fetchSync(request.url, request))
+};
+
+// ---------------------------------------------------------------------------
+// ScriptApp (triggers are recorded; lead-server.mjs runs them on a timer)
+// ---------------------------------------------------------------------------
+
+function createScriptApp(triggers, serviceUrl, log) {
+    return {
+        getService: () => ({ getUrl: () => serviceUrl }),
+        getProjectTriggers: () => triggers.map(handler => ({ getHandlerFunction: () => handler })),
+        deleteTrigger(trigger) {
+            const index = triggers.indexOf(trigger.getHandlerFunction());
+            if (index !== -1) triggers.splice(index, 1);
+        },
+        newTrigger(handler) {
+            const builder = {
+                timeBased: () => builder,
+                everyMinutes: () => builder,
+                everyHours: () => builder,
+                atHour: () => builder,
+                everyDays: () => builder,
+                create() {
+                    triggers.push(handler);
+                    log(`[ScriptApp] trigger installed for ${handler}()`);
+                    return { getHandlerFunction: () => handler };
+                }
+            };
+            return builder;
+        }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Runtime
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the global scope for appscript.js.
+ *
+ * @param {Object} options
+ * @param {string} options.dataDir - Where sheets (CSV) and properties (JSON) are kept
+ * @param {Function} options.DateClass - The script context's Date, so dates read
+ *     back from CSV pass `instanceof Date` inside appscript.js
+ * @param {string} [options.serviceUrl] - What ScriptApp.getService().getUrl() returns
+ * @param {Object} [options.properties] - Script property defaults (e.g. ADMIN_KEY)
+ * @param {Function} [options.log] - Logger for mail and other side effects
+ * @returns {Object} Globals to add to the script's vm context
+ */
+export function createAppsScriptRuntime({ dataDir, DateClass, serviceUrl = '', properties = {}, log = console.log }) {
+    const spreadsheet = new FakeSpreadsheet(dataDir, DateClass);
+    const scriptProperties = new FakeProperties(path.join(dataDir, 'properties.json'), properties);
+    const scriptCache = new FakeCache();
+    const mailLog = path.join(dataDir, 'mail.log');
+    const triggers = [];
+
+    return {
+        console,
+        Logger: { log: (...args) => log('[Logger]', ...args) },
+        SpreadsheetApp: {
+            openById: () => spreadsheet,
+            getActiveSpreadsheet: () => spreadsheet
+        },
+        ContentService: {
+            MimeType: MIME_TYPES,
+            createTextOutput: content => new FakeTextOutput(content)
+        },
+        CacheService: { getScriptCache: () => scriptCache },
+        PropertiesService: { getScriptProperties: () => scriptProperties },
+        LockService: { getScriptLock: () => fakeLock },
+        MailApp: {
+            sendEmail(message) {
+                const entry = `--- ${new Date().toISOString()}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.body}\n`;
+                fs.appendFileSync(mailLog, entry + '\n');
+                log(`[MailApp] "${message.subject}" -> ${message.to}`);
+            }
+        },
+        UrlFetchApp,
+        HtmlService: { createHtmlOutput: html => new FakeHtmlOutput(html) },
+        ScriptApp: createScriptApp(triggers, serviceUrl, log),
+        Utilities
+    };
+}
+
+/**
+ * Runs appscript.js in a fresh vm context backed by the fakes above.
+ *
+ * @param {Object} options - As for createAppsScriptRuntime(), without DateClass
+ * @returns {Object} The script's global scope (doPost, doGet, trigger
+ *     handlers, and the fake services, e.g. SpreadsheetApp)
+ */
+export function loadAppsScript(options) {
+    const context = vm.createContext({});
+    Object.assign(context, createAppsScriptRuntime(Object.assign({}, options, {
+        DateClass: vm.runInContext('Date', context)
+    })));
+    vm.runInContext(fs.readFileSync(APPSCRIPT_FILE, 'utf8'), context, { filename: APPSCRIPT_FILE });
+    return context;
+}
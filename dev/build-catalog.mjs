@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Writes the project catalog (analytics/projects.js) into the static files
+ * that can't read it at runtime:
+ *
+ *   properties.html  The property cards in #properties-grid (between the
+ *                    catalog:start / catalog:end comments)
+ *   vercel.json      A permanent redirect from every legacy slug
+ *   .htaccess        The same redirects for Apache (what deploy.sh uploads to
+ *                    Hostinger), between the catalog:start / catalog:end comments
+ *   llms.txt         The "Property Listings" section
+ *
+ * It also checks that every project has a page whose data-lead-project is
+ * the project's name, so leads, agents and brochures line up, and that no
+ * summary quotes a price of its own: llms.txt takes it from `price`, so the
+ * listing and the card can't disagree.
+ *
+ * Usage:
+ *   node dev/build-catalog.mjs          Rewrite the files
+ *   node dev/build-catalog.mjs --check  Only report files that are out of date (exit 1)
+ *
+ * Run it after editing analytics/projects.js, and commit the result.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PROJECTS } from '../analytics/projects.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SITE_URL = 'https://urbaninvestors.in';
+const CARDS_START = '<!-- catalog:start (generated by dev/build-catalog.mjs from analytics/projects.js) -->';
+const CARDS_END = '<!-- catalog:end -->';
+const REDIRECTS_START = '# catalog:start (generated by dev/build-catalog.mjs from analytics/projects.js)';
+const REDIRECTS_END = '# catalog:end';
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderCard(project) {
+    return `
+        <!-- ${escapeHtml(project.cardTitle || project.name)} Card -->
+        <div class="col-lg-4 col-md-6 mb-4"
+             data-amenities="${project.amenities.join(',')}"
+             data-bhk="${project.bhkFilter}"
+             data-location="${project.locationFilter}"
+             data-price-range="${project.priceFilter}"
+             data-property-type="${project.typeFilter}"
+             data-status="${project.statusFilter}">
+          <div class="property-card bg-white rounded-4 overflow-hidden shadow-sm h-100">
+            <div class="position-relative">
+              <img alt="${escapeHtml(project.imageAlt)}" class="img-fluid w-100 property-img" loading="lazy"
+                   src="${escapeHtml(project.image)}" style="height: 200px; object-fit: cover;"/>
+              <div class="position-absolute top-0 start-0 m-3">
+                <span class="badge bg-primary px-3 py-2 rounded-pill shadow-sm">${escapeHtml(project.status)}</span>
+              </div>
+            </div>
+            <div class="p-4">
+              <div class="d-flex justify-content-between align-items-center mb-3">
+                <span class="text-primary fw-bold fs-5">${escapeHtml(project.price)}</span>
+                <span class="text-muted small"><i class="fas fa-map-marker-alt me-1"></i>${escapeHtml(project.location)}</span>
+              </div>
+              <h3 class="h5 fw-bold mb-3 text-dark">${escapeHtml(project.cardTitle || project.name)}</h3>
+              <div class="d-flex gap-3 mb-4 text-muted small">
+                <span><i class="fas ${project.bhkIcon || 'fa-bed'} me-2"></i>${escapeHtml(project.bhk)}</span>
+                <span><i class="fas ${project.typeIcon || 'fa-building'} me-2"></i>${escapeHtml(project.type)}</span>
+              </div>
+              <a class="btn btn-outline-primary w-100 rounded-pill" href="${project.slug}">
+                View Details <i class="fas fa-arrow-right ms-2"></i>
+              </a>
+            </div>
+          </div>
+        </div>`;
+}
+
+function buildProperties(html) {
+    const start = html.indexOf(CARDS_START);
+    const end = html.indexOf(CARDS_END);
+    if (start === -1 || end === -1) {
+        throw new Error('properties.html: catalog:start / catalog:end comments not found in #properties-grid');
+    }
+    return html.slice(0, start + CARDS_START.length)
+        + PROJECTS.map(renderCard).join('')
+        + '\n        '
+        + html.slice(end);
+}
+
+// Every legacy slug, sorted, with the page it now lives at
+function legacyRedirects() {
+    return PROJECTS.flatMap(project => project.legacySlugs.map(slug => ({
+        source: `/${slug}`,
+        destination: `/${project.slug}`
+    }))).sort((a, b) => a.source.localeCompare(b.source));
+}
+
+function buildVercel(json) {
+    const config = JSON.parse(json);
+    config.redirects = legacyRedirects().map(redirect => Object.assign(redirect, { permanent: true }));
+    return JSON.stringify(config, null, 2) + '\n';
+}
+
+function buildHtaccess(text) {
+    const start = text.indexOf(REDIRECTS_START);
+    const end = text.indexOf(REDIRECTS_END);
+    if (start === -1 || end === -1) {
+        throw new Error('.htaccess: catalog:start / catalog:end comments not found');
+    }
+    const rules = legacyRedirects().map(({ source, destination }) => `RewriteRule ^${source.slice(1)}$ ${destination} [R=301,L]`);
+    return text.slice(0, start + REDIRECTS_START.length) + '\n' + rules.join('\n') + '\n' + text.slice(end);
+}
+
+// The summary with the card's price, when it is a figure ("…, from ₹45 Lakhs*.")
+function listingText(project) {
+    if (!/^₹\d/.test(project.price)) return project.summary;
+    return `${project.summary.replace(/\.$/, '')}, from ${project.price}.`;
+}
+
+function buildLlms(text) {
+    const heading = '## Property Listings\n';
+    const start = text.indexOf(heading);
+    const end = text.indexOf('\n## ', start + heading.length);
+    if (start === -1 || end === -1) {
+        throw new Error('llms.txt: "## Property Listings" section not found');
+    }
+    const listings = PROJECTS.map(project => `- [${project.name}](${SITE_URL}/${project.slug}): ${listingText(project)}`);
+    return text.slice(0, start + heading.length) + '\n' + listings.join('\n') + '\n' + text.slice(end);
+}
+
+function checkCatalog() {
+    const problems = [];
+    const slugs = new Set();
+    for (const project of PROJECTS) {
+        for (const slug of [project.slug, ...project.legacySlugs]) {
+            if (slugs.has(slug)) problems.push(`${slug}: used by more than one project`);
+            slugs.add(slug);
+        }
+        if (project.summary.includes('₹')) problems.push(`${project.slug}: summary quotes a price; llms.txt adds it from price`);
+        const file = path.join(ROOT, `${project.slug}.html`);
+        if (!fs.existsSync(file)) {
+            problems.push(`${project.slug}.html: no such page`);
+            continue;
+        }
+        const names = new Set([...fs.readFileSync(file, 'utf8').matchAll(/data-lead-project="([^"]*)"/g)].map(m => m[1]));
+        for (const name of names) {
+            if (name !== project.name) problems.push(`${project.slug}.html: data-lead-project="${name}", catalog name "${project.name}"`);
+        }
+    }
+    return problems;
+}
+
+const checkOnly = process.argv.includes('--check');
+const targets = [
+    ['properties.html', buildProperties],
+    ['vercel.json', buildVercel],
+    ['.htaccess', buildHtaccess],
+    ['llms.txt', buildLlms]
+];
+
+const problems = checkCatalog();
+problems.forEach(problem => console.warn(`warning: ${problem}`));
+
+let stale = 0;
+for (const [name, build] of targets) {
+    const file = path.join(ROOT, name);
+    const current = fs.readFileSync(file, 'utf8');
+    const next = build(current);
+    if (next === current) {
+        console.log(`${name}: up to date`);
+    } else if (checkOnly) {
+        console.log(`${name}: out of date`);
+        stale++;
+    } else {
+        fs.writeFileSync(file, next);
+        console.log(`${name}: updated`);
+    }
+}
+if (checkOnly && (stale || problems.length)) process.exit(1);
@@ -0,0 +1,426 @@
+/**
+ * Tests for the lead endpoint (appscript.js), run against the Apps Script
+ * fakes in apps-script-fakes.mjs. Each test gets its own empty spreadsheet
+ * in a temporary directory.
+ *
+ * Usage:
+ *   node --test dev/
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, test } from 'node:test';
+import vm from 'node:vm';
+import { loadAppsScript } from './apps-script-fakes.mjs';
+
+const ORIGIN = 'http://localhost:5500';
+const ADMIN_KEY = 'test-admin-key';
+const dataDirs = [];
+
+afterEach(() => {
+    dataDirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * A fresh endpoint with helpers to post leads and read sheets back.
+ *
+ * @param {Object} [properties] - Extra script properties (e.g. OTP_PROVIDER)
+ */
+function createEndpoint(properties = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-endpoint-'));
+    dataDirs.push(dataDir);
+    const script = loadAppsScript({
+        dataDir,
+        serviceUrl: 'http://localhost:8787/exec',
+        properties: Object.assign({ TOKEN_SECRET: 'test-token-secret', ADMIN_KEY }, properties),
+        log: () => {}
+    });
+    const spreadsheet = script.SpreadsheetApp.openById();
+    const reply = output => JSON.parse(output.getContent());
+    let events = 0;
+
+    return {
+        script,
+
+        /**
+         * Posts a lead that passes validation and the spam check unless
+         * `fields` says otherwise. session_id and event_id are filled in.
+         */
+        post(fields = {}) {
+            const sessionId = fields.session_id || 'session-1';
+            const { token } = reply(script.doGet({ parameter: { action: 'token', session_id: sessionId, origin: ORIGIN } }));
+            return reply(script.doPost({
+                parameter: Object.assign({
+                    origin: ORIGIN,
+                    token,
+                    session_id: sessionId,
+                    event_id: `event-${++events}`,
+                    full_name: 'Asha Verma',
+                    email: 'asha@example.com',
+                    phone: '+919810012345',
+                    subject: 'Price Request - Gaur Plume',
+                    consent: 'yes',
+                    consent_policy_version: '2026-05-04',
+                    form_elapsed_ms: '12000',
+                    form_interactions: '14'
+                }, fields)
+            }));
+        },
+
+        get(parameter) {
+            return reply(script.doGet({ parameter }));
+        },
+
+        privacy(action, phone) {
+            const parameter = { action, key: ADMIN_KEY, phone, requested_by: 'test' };
+            return reply(action === 'privacy_delete' ? script.doPost({ parameter }) : script.doGet({ parameter }));
+        },
+
+        /** A sheet's data rows as { header: value } objects ([] if the sheet doesn't exist). */
+        rows(name) {
+            const sheet = spreadsheet.getSheetByName(name);
+            if (!sheet || sheet.getLastRow() < 2) return [];
+            const [headers, ...values] = sheet.getDataRange().getValues();
+            return values.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i]])));
+        },
+
+        addSheet(name, rows) {
+            const sheet = spreadsheet.getSheetByName(name) || spreadsheet.insertSheet(name);
+            rows.forEach(row => sheet.appendRow(row));
+        }
+    };
+}
+
+/**
+ * An endpoint with Gaur Plume bookable every hour of every day, one visit
+ * per slot, and the first open slot.
+ */
+function createVisitEndpoint() {
+    const endpoint = createEndpoint();
+    const times = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0') + ':00').join(', ');
+    endpoint.addSheet('Visit Slots', [
+        ['Project', 'Days', 'Times', 'Capacity', 'Location', 'Active'],
+        ['Gaur Plume', 'Daily', times, 1, 'Gaur Plume site office', 'Yes']
+    ]);
+    const visit = Object.assign({ subject: 'Site Visit - Gaur Plume', transport: 'self-drive' }, openSlot(endpoint));
+    return { endpoint, visit };
+}
+
+/** The first slot still open, as visit_date / visit_time. */
+function openSlot(endpoint) {
+    const slots = endpoint.get({ action: 'visit_slots', project: 'Gaur Plume' });
+    const day = slots.days.find(d => d.times.some(t => t.available));
+    return { visit_date: day.date, visit_time: day.times.find(t => t.available).time };
+}
+
+// ---------------------------------------------------------------------------
+// Spam scoring
+// ---------------------------------------------------------------------------
+
+test('a lead with normal client signals is saved to Sheet1', () => {
+    const endpoint = createEndpoint();
+    const result = endpoint.post();
+    assert.equal(result.success, true);
+    assert.equal(result.lead_status, 'created');
+
+    const [lead] = endpoint.rows('Sheet1');
+    assert.equal(lead.Phone, '+919810012345');
+    assert.equal(lead['Spam Score'], 0);
+    assert.deepEqual(endpoint.rows('Quarantine'), []);
+});
+
+test('a filled honeypot is quarantined with a normal-looking reply', () => {
+    const endpoint = createEndpoint();
+    const result = endpoint.post({ website: 'http://spam.example' });
+    assert.equal(result.success, true);
+    assert.equal(result.lead_status, 'created');
+
+    assert.deepEqual(endpoint.rows('Sheet1'), []);
+    const [lead] = endpoint.rows('Quarantine');
+    assert.equal(lead['Spam Score'], 100);
+    assert.match(lead['Spam Reasons'], /honeypot filled/);
+});
+
+test('a form sent too fast with no typing is quarantined', () => {
+    const endpoint = createEndpoint();
+    endpoint.post({ form_elapsed_ms: '800', form_interactions: '0' });
+    const [lead] = endpoint.rows('Quarantine');
+    assert.equal(lead['Spam Score'], 60);
+    assert.match(lead['Spam Reasons'], /submitted in 800ms/);
+    assert.match(lead['Spam Reasons'], /no typing/);
+});
+
+test('links in the message add to the spam score', () => {
+    const endpoint = createEndpoint();
+    endpoint.post({ message: 'Cheap backlinks at https://spam.example' });
+    const [lead] = endpoint.rows('Sheet1');
+    assert.equal(lead['Spam Score'], 40);
+    assert.equal(lead['Spam Reasons'], 'link or markup in text');
+});
+
+test('a phone sending more than PHONE_LIMIT new leads in an hour is flagged', () => {
+    const endpoint = createEndpoint();
+    ['a', 'b', 'c'].forEach(session => {
+        endpoint.post({ session_id: session, subject: `Price Request - Project ${session}` });
+    });
+    endpoint.post({ session_id: 'd', subject: 'Price Request - Project d' });
+
+    assert.equal(endpoint.rows('Sheet1').length, 1);
+    const [flagged] = endpoint.rows('Quarantine');
+    assert.match(flagged['Spam Reasons'], /phone velocity/);
+});
+
+test('replays and retries of one lead do not count towards the velocity limits', () => {
+    const endpoint = createEndpoint();
+    for (let i = 0; i < 6; i++) endpoint.post({ event_id: 'queued-lead' });
+    for (let i = 0; i < 6; i++) endpoint.post();
+    const result = endpoint.post({ session_id: 'session-2', subject: 'Brochure Download - Max 105' });
+    assert.equal(result.lead_status, 'updated');
+
+    const [lead] = endpoint.rows('Sheet1');
+    assert.equal(lead['Touch Count'], 2);
+    assert.equal(lead['Spam Score'], 0);
+    assert.deepEqual(endpoint.rows('Quarantine'), []);
+});
+
+// ---------------------------------------------------------------------------
+// Validation and tokens
+// ---------------------------------------------------------------------------
+
+test('an invalid phone is refused and logged in Rejected', () => {
+    const endpoint = createEndpoint();
+    const result = endpoint.post({ phone: '12345' });
+    assert.equal(result.success, false);
+    assert.equal(result.status, 400);
+    assert.equal(result.errors[0].code, 'PHONE_INVALID');
+    assert.match(endpoint.rows('Rejected')[0].Reason, /PHONE_INVALID/);
+});
+
+test('a token issued to another session is refused', () => {
+    const endpoint = createEndpoint();
+    const { token } = endpoint.get({ action: 'token', session_id: 'other-session', origin: ORIGIN });
+    const result = endpoint.post({ token });
+    assert.equal(result.status, 403);
+    assert.equal(endpoint.rows('Rejected')[0].Reason, 'Session mismatch');
+});
+
+// ---------------------------------------------------------------------------
+// Phone verification
+// ---------------------------------------------------------------------------
+
+test('codes are only sent to the countries the phone picker offers', t => {
+    t.mock.method(console, 'log', () => {});
+    const endpoint = createEndpoint({ OTP_PROVIDER: 'log' });
+    const result = endpoint.post({ action: 'otp_send', phone: '+2348031234567' });
+    assert.equal(result.success, false);
+    assert.equal(result.errors[0].code, 'OTP_COUNTRY_UNSUPPORTED');
+    assert.equal(console.log.mock.callCount(), 0);
+
+    assert.equal(endpoint.post({ action: 'otp_send', phone: '+971501234567' }).success, true);
+    assert.equal(console.log.mock.callCount(), 1);
+});
+
+test('OTP_COUNTRY_CODES lists the dialling codes of the phone picker in forms/phone.js', () => {
+    const picker = fs.readFileSync(new URL('../forms/phone.js', import.meta.url), 'utf8');
+    const dialCodes = [...picker.matchAll(/\['[A-Z]{2}', '[^']+', '(\d+)'/g)].map(match => match[1]);
+    assert.ok(dialCodes.length > 1);
+    const { script } = createEndpoint();
+    assert.deepEqual(new Set(vm.runInContext('OTP_COUNTRY_CODES', script)), new Set(dialCodes));
+});
+
+test('no more codes are sent in the hour once the site-wide limit is reached', t => {
+    // The "log" provider prints each code.
+    t.mock.method(console, 'log', () => {});
+    const endpoint = createEndpoint({ OTP_PROVIDER: 'log' });
+    const sendCode = i => endpoint.post({ action: 'otp_send', session_id: `otp-${i}`, phone: `+9198100${String(i).padStart(5, '0')}` });
+
+    for (let i = 1; i <= 100; i++) assert.equal(sendCode(i).success, true);
+    const result = sendCode(101);
+    assert.equal(result.success, false);
+    assert.equal(result.errors[0].code, 'OTP_UNAVAILABLE');
+    assert.equal(console.log.mock.callCount(), 100);
+});
+
+// ---------------------------------------------------------------------------
+// Deduplication
+// ---------------------------------------------------------------------------
+
+test('a replayed event_id is reported as a duplicate and changes nothing', () => {
+    const endpoint = createEndpoint();
+    endpoint.post({ event_id: 'replayed' });
+    const result = endpoint.post({ event_id: 'replayed' });
+    assert.equal(result.lead_status, 'duplicate');
+
+    const [lead] = endpoint.rows('Sheet1');
+    assert.equal(endpoint.rows('Sheet1').length, 1);
+    assert.equal(lead['Touch Count'], 1);
+});
+
+test('the same form resent by the same session within the retry window is a duplicate', () => {
+    const endpoint = createEndpoint();
+    endpoint.post();
+    const result = endpoint.post();
+    assert.equal(result.lead_status, 'duplicate');
+    assert.equal(endpoint.rows('Sheet1')[0]['Touch Count'], 1);
+});
+
+test('a returning lead is merged into its row as a new touch', () => {
+    const endpoint = createEndpoint();
+    endpoint.post({ phone: '9810012345', email: 'asha@example.com' });
+    const result = endpoint.post({
+        phone: '+91 98100-12345',
+        subject: 'Brochure Download - Max 105',
+        email: 'brochure@lead.com',
+        latest_source: 'google'
+    });
+    assert.equal(result.lead_status, 'updated');
+
+    const leads = endpoint.rows('Sheet1');
+    assert.equal(leads.length, 1);
+    assert.equal(leads[0]['Touch Count'], 2);
+    assert.equal(leads[0].Subject, 'Brochure Download - Max 105');
+    assert.equal(leads[0].Email, 'asha@example.com');
+    assert.deepEqual(JSON.parse(leads[0]['Touch History']).map(touch => touch.subject),
+        ['Price Request - Gaur Plume', 'Brochure Download - Max 105']);
+});
+
+test('a returning lead keeps its highest quality score', () => {
+    const endpoint = createEndpoint();
+    const engagement = JSON.stringify({ visits: 3, pages: 9, seconds: 700, scroll: 80 });
+    endpoint.post({ investment_range: '₹10 Crore+', engagement });
+    const [first] = endpoint.rows('Sheet1');
+
+    endpoint.post({ session_id: 'session-2', subject: 'Brochure Download - Max 105' });
+    const [lead] = endpoint.rows('Sheet1');
+    assert.equal(lead['Touch Count'], 2);
+    assert.equal(lead['Quality Score'], first['Quality Score']);
+    assert.equal(lead['Quality Reasons'], first['Quality Reasons']);
+
+    endpoint.post({ session_id: 'session-3', subject: 'Site Visit - Max 105', investment_range: '₹10 Crore+', engagement,
+        latest_source: 'google', latest_medium: 'cpc' });
+    assert.ok(endpoint.rows('Sheet1')[0]['Quality Score'] > first['Quality Score']);
+});
+
+// ---------------------------------------------------------------------------
+// Site visits
+// ---------------------------------------------------------------------------
+
+test('a site visit books its slot and is returned with the lead', () => {
+    const { endpoint, visit } = createVisitEndpoint();
+    const result = endpoint.post(visit);
+    assert.equal(result.success, true);
+    assert.equal(result.booking.project, 'Gaur Plume');
+    assert.equal(result.booking.time, visit.visit_time);
+
+    const [booking] = endpoint.rows('Site Visits');
+    assert.equal(booking['Booking ID'], result.booking.id);
+    assert.equal(booking.Status, 'Booked');
+    assert.equal(endpoint.rows('Sheet1')[0]['Booking ID'], result.booking.id);
+
+    const slots = endpoint.get({ action: 'visit_slots', project: 'Gaur Plume' });
+    const slot = slots.days.find(d => d.date === visit.visit_date).times.find(t => t.time === visit.visit_time);
+    assert.equal(slot.available, false);
+});
+
+test('a slot that is already full is refused', () => {
+    const { endpoint, visit } = createVisitEndpoint();
+    endpoint.post(visit);
+    const result = endpoint.post(Object.assign({ session_id: 'session-2', phone: '+919810054321' }, visit));
+    assert.equal(result.success, false);
+    assert.equal(result.status, 409);
+    assert.equal(result.errors[0].code, 'SLOT_TAKEN');
+    assert.equal(endpoint.rows('Site Visits').length, 1);
+});
+
+test('pickup without an address is refused', () => {
+    const { endpoint, visit } = createVisitEndpoint();
+    const result = endpoint.post(Object.assign({}, visit, { transport: 'pickup' }));
+    assert.equal(result.errors[0].code, 'PICKUP_ADDRESS_REQUIRED');
+    assert.deepEqual(endpoint.rows('Site Visits'), []);
+});
+
+test('a replayed booking gets its first booking back', () => {
+    const { endpoint, visit } = createVisitEndpoint();
+    const first = endpoint.post(Object.assign({ event_id: 'visit-1' }, visit));
+    const replay = endpoint.post(Object.assign({ event_id: 'visit-1' }, visit));
+    assert.equal(replay.lead_status, 'duplicate');
+    assert.equal(replay.booking.id, first.booking.id);
+    assert.equal(endpoint.rows('Site Visits').length, 1);
+});
+
+test('rebooking within the retry window keeps the first booking and takes no second slot', () => {
+    const { endpoint, visit } = createVisitEndpoint();
+    const first = endpoint.post(visit);
+    const retry = endpoint.post(Object.assign({}, visit, openSlot(endpoint)));
+    assert.equal(retry.lead_status, 'duplicate');
+    assert.equal(retry.booking.id, first.booking.id);
+
+    const bookings = endpoint.rows('Site Visits');
+    assert.equal(bookings.length, 1);
+    assert.equal(bookings[0]['Booking ID'], first.booking.id);
+    assert.equal(endpoint.rows('Sheet1')[0]['Booking ID'], first.booking.id);
+});
+
+// ---------------------------------------------------------------------------
+// CRM webhooks
+// ---------------------------------------------------------------------------
+
+test('webhook deliveries are queued for the trigger, not sent during the submission', () => {
+    const endpoint = createEndpoint();
+    // Nothing listens on port 9: an attempt fails at once with "connection refused".
+    endpoint.addSheet('Webhooks', [['Name', 'URL', 'Active'], ['Local CRM', 'http://127.0.0.1:9/hooks', 'Yes']]);
+    endpoint.post();
+
+    let [delivery] = endpoint.rows('Deliveries');
+    assert.equal(delivery.Status, 'pending');
+    assert.equal(delivery.Attempts, 0);
+    assert.equal(endpoint.rows('Sheet1')[0]['Webhook Status'], 'Local CRM: queued');
+
+    endpoint.script.retryWebhookDeliveries();
+    [delivery] = endpoint.rows('Deliveries');
+    assert.equal(delivery.Status, 'pending');
+    assert.equal(delivery.Attempts, 1);
+    assert.ok(new Date(delivery['Next Attempt']) > new Date());
+    assert.equal(endpoint.rows('Sheet1')[0]['Webhook Status'], 'Local CRM: retrying (1)');
+});
+
+// ---------------------------------------------------------------------------
+// Privacy requests
+// ---------------------------------------------------------------------------
+
+test('privacy requests need the admin key', () => {
+    const endpoint = createEndpoint();
+    const result = endpoint.script.doGet({ parameter: { action: 'privacy_export', key: 'wrong', phone: '9810012345', requested_by: 'test' } });
+    assert.equal(JSON.parse(result.getContent()).status, 401);
+});
+
+test('privacy_delete erases the lead and logs only a hash of the phone', () => {
+    const endpoint = createEndpoint();
+    endpoint.post();
+    endpoint.post({ phone: '+919810054321', session_id: 'session-2' });
+
+    const result = endpoint.privacy('privacy_delete', '98100 12345');
+    assert.equal(result.deleted, 1);
+    assert.deepEqual(endpoint.rows('Sheet1').map(lead => lead.Phone), ['+919810054321']);
+
+    const [log] = endpoint.rows('Privacy Log');
+    assert.equal(log.Request, 'delete');
+    assert.doesNotMatch(JSON.stringify(log), /9810012345/);
+});
+
+test('privacy requests cover site-visit bookings', () => {
+    const { endpoint, visit } = createVisitEndpoint();
+    endpoint.post(visit);
+    endpoint.post(Object.assign({}, visit, openSlot(endpoint), { session_id: 'session-2' }));
+    assert.equal(endpoint.rows('Site Visits').length, 2);
+
+    const exported = endpoint.privacy('privacy_export', '+919810012345');
+    assert.deepEqual(exported.records.map(match => match.sheet), ['Sheet1', 'Site Visits', 'Site Visits']);
+
+    const deleted = endpoint.privacy('privacy_delete', '+919810012345');
+    assert.equal(deleted.deleted, 3);
+    assert.deepEqual(endpoint.rows('Sheet1'), []);
+    assert.deepEqual(endpoint.rows('Site Visits'), []);
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Offline stand-in for the Apps Script lead endpoint.
+ *
+ * Loads the real appscript.js into a sandbox backed by the fakes in
+ * apps-script-fakes.mjs and serves its doGet / doPost over HTTP, so forms
+ * can be exercised without a Google account or a live spreadsheet. Sheets
+ * are written as CSV files to dev/data/ (Sheet1.csv, Rejected.csv, ...),
+ * outgoing mail is appended to dev/data/mail.log. Phone verification codes
+ * use the "log" provider and are printed to this terminal.
+ *
+ * Usage:
+ *   node dev/lead-server.mjs            Listen on http://localhost:8787/exec
+ *   PORT=9000 node dev/lead-server.mjs  Use another port
+ *
+ * Time-driven trigger handlers (TIMED_HANDLERS) run every minute, or every
+ * TRIGGER_INTERVAL_MS. For CRM webhooks, run dev/webhook-receiver.mjs and
+ * list it in dev/data/Webhooks.csv.
+ *
+ * Point the site at it with USE_LOCAL_LEAD_ENDPOINT in analytics/config.js.
+ * Delete dev/data/ to start from an empty sheet.
+ */
+
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadAppsScript } from './apps-script-fakes.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = path.join(ROOT, 'dev', 'data');
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_BODY_BYTES = 1024 * 1024;
+// Stands in for time-driven triggers (e.g. retryWebhookDeliveries every minute).
+const TRIGGER_INTERVAL_MS = Number(process.env.TRIGGER_INTERVAL_MS) || 60 * 1000;
+const TIMED_HANDLERS = ['retryWebhookDeliveries'];
+
+// Dev-only secrets and settings so token, admin and OTP endpoints work out of the box.
+const DEV_PROPERTIES = {
+    TOKEN_SECRET: 'local-dev-token-secret',
+    ADMIN_KEY: 'local-dev-admin-key',
+    WEBHOOK_SECRET: 'local-dev-webhook-secret',
+    OTP_PROVIDER: 'log'
+};
+
+/**
+ * Parses a multipart/form-data body (text fields only — the site never
+ * uploads files) into [name, value] pairs.
+ */
+function parseMultipart(body, boundary) {
+    const pairs = [];
+    body.split('--' + boundary).forEach(part => {
+        const match = part.match(/^\r\nContent-Disposition: form-data; name="([^"]*)"[^\r]*\r\n(?:[^\r]+\r\n)*\r\n([\s\S]*)\r\n$/i);
+        if (match) pairs.push([match[1], match[2]]);
+    });
+    return pairs;
+}
+
+function readPairs(body, contentType) {
+    const boundary = /multipart\/form-data;\s*boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    if (boundary) return parseMultipart(body, boundary[1] || boundary[2]);
+    if (/application\/x-www-form-urlencoded/i.test(contentType || '')) {
+        return [...new URLSearchParams(body)];
+    }
+    return [];
+}
+
+/**
+ * Builds the Apps Script event object: `parameter` holds the first value of
+ * each name, `parameters` every value, from both query string and form body.
+ */
+function buildEvent(url, body, contentType) {
+    const pairs = [...url.searchParams, ...readPairs(body, contentType)];
+    const parameter = {};
+    const parameters = {};
+    pairs.forEach(([name, value]) => {
+        if (!(name in parameter)) parameter[name] = value;
+        (parameters[name] = parameters[name] || []).push(value);
+    });
+    return {
+        parameter,
+        parameters,
+        queryString: url.search.slice(1),
+        contentLength: Buffer.byteLength(body),
+        postData: body ? { contents: body, length: Buffer.byteLength(body), type: contentType || '' } : undefined
+    };
+}
+
+// Loaded once: sheets, cache and properties outlive a request, like the real
+// services. Restart the server after editing appscript.js.
+const script = loadAppsScript({
+    dataDir: DATA_DIR,
+    serviceUrl: `http://localhost:${PORT}/exec`,
+    properties: DEV_PROPERTIES
+});
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, contentType, content) {
+    res.writeHead(status, {
+        'Content-Type': contentType + '; charset=utf-8',
+        // What Google's googleusercontent.com redirect adds to every web app reply.
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(content);
+}
+
+async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (url.pathname !== '/exec') {
+        send(res, 404, 'text/plain', 'Not found — the lead endpoint is /exec');
+        return;
+    }
+    if (req.method === 'OPTIONS') {
+        // Apps Script never answers preflights; mirror that so CORS bugs show up locally.
+        send(res, 405, 'text/plain', 'Method not allowed');
+        return;
+    }
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        send(res, 405, 'text/plain', 'Method not allowed');
+        return;
+    }
+
+    const body = req.method === 'POST' ? await readBody(req) : '';
+    const event = buildEvent(url, body, req.headers['content-type']);
+    const handler = req.method === 'POST' ? script.doPost : script.doGet;
+    if (typeof handler !== 'function') {
+        send(res, 500, 'text/plain', `appscript.js does not define ${req.method === 'POST' ? 'doPost' : 'doGet'}`);
+        return;
+    }
+
+    const output = handler(event);
+    // Like a deployed web app, every handled request is a 200.
+    send(res, 200, output.getMimeType(), output.getContent());
+    console.log(`${req.method} ${url.pathname}${url.search ? ' ' + (url.searchParams.get('action') || '') : ''} -> ${output.getContent().slice(0, 160)}`);
+}
+
+setInterval(() => {
+    TIMED_HANDLERS.forEach(name => {
+        if (typeof script[name] !== 'function') return;
+        try {
+            script[name]();
+        } catch (error) {
+            console.error(`${name}() failed:`, error);
+        }
+    });
+}, TRIGGER_INTERVAL_MS).unref();
+
+http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+        console.error(error);
+        send(res, 500, 'text/plain', String(error && error.stack || error));
+    });
+}).listen(PORT, () => {
+    console.log(`Lead endpoint stand-in: http://localhost:${PORT}/exec`);
+    console.log(`Sheets are written to ${path.relative(process.cwd(), DATA_DIR) || '.'}/*.csv`);
+    console.log(`Admin key for admin.html: ${DEV_PROPERTIES.ADMIN_KEY}`);
+});
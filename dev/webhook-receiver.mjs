@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for a CRM webhook endpoint.
+ *
+ * Accepts the JSON lead payloads appscript.js posts (see "CRM WEBHOOKS"),
+ * checks the X-Urban-Signature header against the dev WEBHOOK_SECRET and
+ * appends each delivery to dev/data/webhooks.log.
+ *
+ * Usage:
+ *   node dev/webhook-receiver.mjs             Listen on http://localhost:8788/hooks
+ *   FAIL_RATE=1 node dev/webhook-receiver.mjs Answer 503 to every request (0.5 = half)
+ *
+ * Then add a row to dev/data/Webhooks.csv (Name,URL,Active):
+ *   Local CRM,http://localhost:8788/hooks,Yes
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'data');
+const LOG_FILE = path.join(DATA_DIR, 'webhooks.log');
+const PORT = Number(process.env.PORT) || 8788;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+// Must match WEBHOOK_SECRET in lead-server.mjs.
+const SECRET = process.env.WEBHOOK_SECRET || 'local-dev-webhook-secret';
+
+function verifySignature(body, header) {
+    if (!header) return 'unsigned';
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+    return header === expected ? 'valid' : 'INVALID';
+}
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+    }
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = verifySignature(body, req.headers['x-urban-signature']);
+        const deliveryId = req.headers['x-urban-delivery'] || '';
+
+        if (Math.random() < FAIL_RATE) {
+            console.log(`503 ${deliveryId} (simulated failure)`);
+            res.writeHead(503, { 'Content-Type': 'application/json' }).end('{"ok":false}');
+            return;
+        }
+
+        let summary = '';
+        try {
+            const payload = JSON.parse(body);
+            summary = `${payload.event} ${payload.lead.full_name} ${payload.lead.phone} (${payload.lead.first_source || 'no source'})`;
+        } catch (e) {
+            res.writeHead(400, { 'Content-Type': 'application/json' }).end('{"ok":false,"error":"Invalid JSON"}');
+            return;
+        }
+
+        fs.appendFileSync(LOG_FILE, `--- ${new Date().toISOString()} ${deliveryId} signature=${signature}\n${body}\n\n`);
+        console.log(`200 ${deliveryId} signature=${signature} ${summary}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+    });
+}).listen(PORT, () => {
+    console.log(`Webhook receiver: http://localhost:${PORT}/hooks${FAIL_RATE ? ` (failing ${FAIL_RATE * 100}%)` : ''}`);
+});
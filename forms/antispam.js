@@ -0,0 +1,70 @@
+import { LEAD_FORM_SELECTOR, watchLeadForms } from './lead-forms.js';
+
+/**
+ * Client half of the shared anti-spam layer.
+ *
+ * Every lead form gets a visually hidden honeypot field and a timer. The
+ * values travel with the submission (appended by analytics/forms.js) and
+ * doPost scores them together with its own velocity limits.
+ */
+
+// Named like a real field so form-filling bots complete it; people never see it.
+const HONEYPOT_NAME = 'website';
+
+const formState = new WeakMap();
+let lastSubmittedForm = null;
+
+/**
+ * Arms every lead form currently in the DOM and any added later
+ * (lead-magnet.js injects its popups after page load).
+ */
+export function initAntiSpam() {
+    watchLeadForms(armForm);
+
+    // Capture phase runs before the page's own submit handlers, so the form
+    // is known by the time their fetch() reaches the interceptor.
+    document.addEventListener('submit', function(e) {
+        if (e.target.matches && e.target.matches(LEAD_FORM_SELECTOR)) {
+            lastSubmittedForm = e.target;
+        }
+    }, true);
+}
+
+function armForm(form) {
+    if (formState.has(form)) return;
+    const state = { renderedAt: Date.now(), startedAt: 0, interactions: 0 };
+    formState.set(form, state);
+
+    const trap = document.createElement('div');
+    trap.setAttribute('aria-hidden', 'true');
+    trap.style.cssText = 'position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;';
+    trap.innerHTML = `<label>Website<input type="text" name="${HONEYPOT_NAME}" tabindex="-1" autocomplete="off" /></label>`;
+    form.appendChild(trap);
+
+    form.addEventListener('focusin', function() {
+        if (!state.startedAt) state.startedAt = Date.now();
+    });
+    form.addEventListener('input', function() {
+        state.interactions++;
+    });
+}
+
+/**
+ * Returns the anti-spam signals for the form that was just submitted.
+ * Called by the fetch interceptor; returns an empty object for submissions
+ * that didn't come from an armed form (doPost treats missing signals as suspicious).
+ *
+ * @returns {Object} `{ website, form_elapsed_ms, form_interactions }` or `{}`
+ */
+export function getAntiSpamFields() {
+    const form = lastSubmittedForm;
+    const state = form && formState.get(form);
+    if (!state) return {};
+
+    const honeypot = form.querySelector(`input[name="${HONEYPOT_NAME}"]`);
+    return {
+        website: honeypot ? honeypot.value : '',
+        form_elapsed_ms: String(Date.now() - (state.startedAt || state.renderedAt)),
+        form_interactions: String(state.interactions)
+    };
+}
@@ -0,0 +1,97 @@
+import { CONFIG, getLeadEndpoint } from '../analytics/config.js';
+
+/**
+ * Brochure delivery for the property-page brochure modal.
+ *
+ * Once a "Brochure Download - <Project>" request has been posted, asks the
+ * lead endpoint for a short-lived signed link (tied to the submission's
+ * event and session IDs) and swaps the modal's form for a download button.
+ * The link opens the endpoint's download page, which expires; the brochure
+ * file it points to does not. Projects without a registered brochure get a
+ * WhatsApp follow-up message instead.
+ */
+
+const BROCHURE_SUBJECT_PREFIX = 'Brochure Download - ';
+const MODAL_ID = 'brochureModal';
+const PANEL_ID = 'brochureDelivery';
+
+/**
+ * Wires brochure delivery into the page's brochure modal, if it has one.
+ */
+export function initBrochureDelivery() {
+    const modal = document.getElementById(MODAL_ID);
+    if (!modal) return;
+
+    window.addEventListener(CONFIG.LEAD_SUBMITTED_EVENT, function(e) {
+        const { eventId, sessionId, subject } = e.detail;
+        if (!subject.startsWith(BROCHURE_SUBJECT_PREFIX)) return;
+        const project = subject.slice(BROCHURE_SUBJECT_PREFIX.length);
+
+        showPanel(modal, `
+            <div class="spinner-border text-primary mb-3" role="status"></div>
+            <p class="mb-0">Preparing your ${escapeHtml(project)} brochure&hellip;</p>`);
+
+        requestBrochureLink(eventId, sessionId)
+            .then(link => showPanel(modal, `
+                <i class="fas fa-file-pdf fa-3x text-primary mb-3"></i>
+                <h6>Your ${escapeHtml(link.project)} brochure is ready</h6>
+                <a class="btn btn-accent w-100 mt-2" href="${escapeHtml(link.url)}" target="_blank" rel="noopener">
+                    <i class="fas fa-download me-2"></i>Download Brochure
+                </a>
+                <p class="small text-muted mt-3 mb-0">This link works for the next 15 minutes.</p>`))
+            .catch(() => showPanel(modal, `
+                <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+                <h6>Thank you!</h6>
+                <p class="mb-0">Our team will send the ${escapeHtml(project)} brochure to you on WhatsApp shortly.</p>`));
+    });
+
+    // Next time the modal opens, show the form again.
+    modal.addEventListener('hidden.bs.modal', function() {
+        const panel = document.getElementById(PANEL_ID);
+        if (!panel) return;
+        panel.remove();
+        modal.querySelectorAll('.modal-body > .d-none[data-brochure-hidden]').forEach(el => {
+            el.classList.remove('d-none');
+            el.removeAttribute('data-brochure-hidden');
+        });
+        modal.querySelectorAll('.submission-status').forEach(el => { el.textContent = ''; });
+    });
+}
+
+async function requestBrochureLink(eventId, sessionId) {
+    const url = new URL(getLeadEndpoint());
+    url.searchParams.set('action', 'brochure_link');
+    url.searchParams.set('event_id', eventId);
+    url.searchParams.set('session_id', sessionId);
+
+    const response = await fetch(url.toString(), { method: 'GET' });
+    const data = await response.json();
+    if (!data.success || !data.url) {
+        throw new Error(data.error || 'Brochure link request failed');
+    }
+    return data;
+}
+
+function showPanel(modal, html) {
+    const body = modal.querySelector('.modal-body');
+    let panel = document.getElementById(PANEL_ID);
+    if (!panel) {
+        Array.from(body.children).forEach(el => {
+            if (el.classList.contains('d-none')) return;
+            el.classList.add('d-none');
+            el.setAttribute('data-brochure-hidden', '');
+        });
+        panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.className = 'text-center py-3';
+        panel.setAttribute('aria-live', 'polite');
+        body.appendChild(panel);
+    }
+    panel.innerHTML = html;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => (
+        { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+}
@@ -0,0 +1,92 @@
+import { LEAD_FORM_SELECTOR, watchLeadForms } from './lead-forms.js';
+
+/**
+ * Explicit consent on every lead form.
+ *
+ * Each lead form (including the lead-magnet popups) gets an unticked
+ * "I agree" checkbox linking to the privacy policy, and can't be submitted
+ * until it is ticked. The accepted policy version travels with the
+ * submission (appended by analytics/forms.js); doPost stores it together
+ * with the consent time and the wording for that version.
+ */
+
+// The privacy-policy.html effective date. When the policy changes, bump this
+// and add the new wording to CONSENT_TEXTS in appscript.js first.
+export const PRIVACY_POLICY_VERSION = '2026-05-04';
+
+const CONSENT_LABEL = 'I agree to Urban Investors contacting me by call, SMS, WhatsApp or email about properties, and to the use of my details as described in the';
+const CONSENT_ERROR = 'Please tick this box so we can contact you.';
+
+let lastSubmittedForm = null;
+
+/**
+ * Adds the consent checkbox to every lead form now in the DOM and any added
+ * later, and blocks submission of forms where it isn't ticked.
+ */
+export function initConsent() {
+    watchLeadForms(addConsentBox);
+
+    // Capture phase on document runs before the page's own submit handlers,
+    // so stopping the event here means no fetch() is ever made.
+    document.addEventListener('submit', function(e) {
+        const form = e.target;
+        if (!form.matches || !form.matches(LEAD_FORM_SELECTOR)) return;
+        const box = form.querySelector('input[name="consent"]');
+        if (box && !box.checked) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            box.classList.add('is-invalid');
+            box.focus();
+            return;
+        }
+        lastSubmittedForm = form;
+    }, true);
+}
+
+function addConsentBox(form) {
+    if (form.querySelector('input[name="consent"]')) return;
+    const button = form.querySelector('[type="submit"]');
+    const id = (form.id || 'leadForm') + 'Consent';
+
+    const box = document.createElement('div');
+    box.className = 'form-check text-start small mb-3';
+    box.style.cssText = 'font-size:0.8rem;line-height:1.4;';
+    box.innerHTML = `
+        <input class="form-check-input" type="checkbox" name="consent" value="yes" id="${id}" required>
+        <label class="form-check-label" for="${id}">${CONSENT_LABEL} <a href="privacy-policy" target="_blank" rel="noopener">Privacy Policy</a>.</label>
+        <div class="invalid-feedback">${CONSENT_ERROR}</div>`;
+    box.querySelector('input').addEventListener('change', function() {
+        this.classList.toggle('is-invalid', !this.checked);
+    });
+
+    if (!button) {
+        form.appendChild(box);
+        return;
+    }
+    // Grid forms wrap the button in its own column: add a column of the same kind.
+    const wrapper = button.parentElement;
+    if (wrapper !== form && wrapper.children.length === 1) {
+        const column = document.createElement('div');
+        column.className = wrapper.className;
+        column.appendChild(box);
+        box.classList.remove('mb-3');
+        wrapper.before(column);
+    } else {
+        button.before(box);
+    }
+}
+
+/**
+ * Returns the consent fields for the form that was just submitted, or an
+ * empty object if it didn't come from a lead form (doPost then refuses it).
+ *
+ * @returns {Object} `{ consent, consent_policy_version }` or `{}`
+ */
+export function getConsentFields() {
+    const box = lastSubmittedForm && lastSubmittedForm.querySelector('input[name="consent"]');
+    if (!box || !box.checked) return {};
+    return {
+        consent: 'yes',
+        consent_policy_version: PRIVACY_POLICY_VERSION
+    };
+}
@@ -0,0 +1,273 @@
+import { CONFIG } from '../analytics/config.js';
+import { trackEvent } from '../analytics/events.js';
+import { verifyPhone } from './otp.js';
+import { getFullPhone } from './phone.js';
+
+/**
+ * Declarative lead forms. Every <form data-lead-form="<type>"> on the page is
+ * validated and posted to the lead endpoint by this module, so pages carry
+ * markup only:
+ *
+ *   data-lead-form       Lead type, a key of LEAD_TYPES (contact, enquiry,
+ *                        brochure, price-insights, compare, site-visit)
+ *   data-lead-project    Project the form is about; omit on non-project pages
+ *   data-lead-required   Space-separated field names that must be filled in
+ *   data-lead-success    Selector of the view shown after a save. The element in
+ *                        data-lead-form-view (default: the form) is hidden.
+ *                        Without it, a thank-you line appears under the button.
+ *   data-lead-verify     "phone" to confirm the number with a one-time code
+ *                        before sending (forms/otp.js)
+ *   data-lead-wizard     Ask the qualification questions first, one step at
+ *                        a time (forms/wizard.js)
+ *
+ * Inputs are sent under their name attribute (full_name, email, phone,
+ * investment_range, message, ...); phone goes out with its country code
+ * (forms/phone.js). Posts go to CONFIG.LEAD_ENDPOINT, where
+ * analytics/forms.js adds attribution, token and consent fields, confirms
+ * delivery (forms/submission.js) and pushes generate_lead. The success view
+ * only shows once the endpoint has confirmed the save.
+ */
+
+// Subject/message/range defaults per lead type, used when the form has no
+// (non-empty) field of that name. `lead` holds the form's values plus `project`.
+const LEAD_TYPES = {
+    contact: lead => ({
+        subject: lead.project ? `General enquiry from ${lead.project} Page` : 'General enquiry'
+    }),
+    enquiry: lead => ({
+        subject: `Enquiry - ${lead.project}`
+    }),
+    brochure: lead => ({
+        subject: `Brochure Download - ${lead.project}`,
+        investment_range: 'Brochure Download Request',
+        message: `Brochure requested from: ${lead.project} (Page: ${window.location.pathname})`
+    }),
+    'price-insights': lead => ({
+        subject: `Price Insights Request - ${lead.project}`,
+        investment_range: 'Price Insights',
+        message: `Requested price insights for ${lead.project}`
+    }),
+    compare: lead => ({
+        subject: `Compare Request - ${lead.project} vs ${lead.compare_with}`,
+        investment_range: 'Comparison',
+        message: `Requested comparison for ${lead.project} vs ${lead.compare_with}`
+    }),
+    // The booking itself (visit_date, visit_time, transport, pickup_address)
+    // is made by doPost; see forms/site-visit.js
+    'site-visit': lead => ({
+        subject: `Site Visit - ${lead.project}`,
+        investment_range: 'Site Visit Booking',
+        message: `Site visit on ${lead.visit_date} at ${lead.visit_time}, ` +
+            (lead.transport === 'pickup' ? `pickup from ${lead.pickup_address}` : 'self-drive')
+    })
+};
+
+const STATUS_MESSAGES = {
+    invalid: 'Please check the highlighted fields.',
+    sending: 'Sending, please wait...',
+    success: 'Submitted successfully — thank you!',
+    queued: 'You seem to be offline. Your details are saved on this device and will be sent as soon as you are back online.',
+    expired: 'This page has expired — please refresh it and try again.',
+    failure: 'Sorry, we could not send your details. Please try again or call us.'
+};
+
+/**
+ * Every form the shared lead-form layers (anti-spam, consent, phone picker)
+ * attach to: the declarative forms plus the lead-magnet popups.
+ */
+export const LEAD_FORM_SELECTOR = [
+    '#contactForm',
+    '#brochureForm',
+    '#priceInsightsForm',
+    '#compareForm',
+    '#enquireForm',
+    '#uiExitForm',
+    '#uiGpForm',
+    '#uiCbForm',
+    '#siteVisitForm'
+].join(', ');
+
+/**
+ * Calls bind(form) for every lead form now in the DOM and for any added later
+ * (lead-magnet.js injects its popups after page load, site-visit.js its modal).
+ * bind must cope with being called twice for the same form.
+ *
+ * @param {function(HTMLFormElement): void} bind
+ */
+export function watchLeadForms(bind) {
+    document.querySelectorAll(LEAD_FORM_SELECTOR).forEach(bind);
+
+    new MutationObserver(function(mutations) {
+        mutations.forEach(function(mutation) {
+            mutation.addedNodes.forEach(function(node) {
+                if (node.nodeType !== 1) return;
+                if (node.matches(LEAD_FORM_SELECTOR)) bind(node);
+                node.querySelectorAll(LEAD_FORM_SELECTOR).forEach(bind);
+            });
+        });
+    }).observe(document.body, { childList: true });
+}
+
+/**
+ * Binds every declarative lead form on the page.
+ */
+export function initLeadForms() {
+    document.querySelectorAll('form[data-lead-form]').forEach(form => {
+        if (!LEAD_TYPES[form.dataset.leadForm]) {
+            console.error(`Unknown lead form type "${form.dataset.leadForm}" on #${form.id}`);
+            return;
+        }
+
+        (form.dataset.leadRequired || '').split(/\s+/).filter(Boolean).forEach(name => {
+            const field = form.elements.namedItem(name);
+            if (field) field.required = true;
+        });
+        form.noValidate = true;
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            submitLeadForm(form);
+        });
+
+        // Forms in modals start over each time the modal is reopened
+        const modal = form.closest('.modal');
+        if (modal && form.dataset.leadSuccess) {
+            modal.addEventListener('hidden.bs.modal', () => showSuccessView(form, false));
+        }
+    });
+}
+
+async function submitLeadForm(form) {
+    const status = getStatusElement(form);
+    status.textContent = '';
+
+    form.classList.add('was-validated');
+    if (!form.checkValidity()) {
+        status.textContent = STATUS_MESSAGES.invalid;
+        form.reportValidity();
+        trackEvent('form_validation_error', {
+            form_type: form.dataset.leadForm,
+            invalid_fields: [...form.elements].filter(el => el.name && !el.validity.valid).map(el => el.name).join(',')
+        });
+        return;
+    }
+
+    setLoading(form, true);
+    status.textContent = STATUS_MESSAGES.sending;
+
+    const payload = buildPayload(form);
+    if (form.dataset.leadVerify === 'phone') {
+        const proof = await verifyPhone(form, payload.get('phone'));
+        if (proof === null) {
+            // Back to the form to correct the number
+            setLoading(form, false);
+            status.textContent = '';
+            return;
+        }
+        if (proof) payload.set('phone_verification', proof);
+    }
+
+    let result;
+    try {
+        const response = await fetch(CONFIG.LEAD_ENDPOINT, { method: 'POST', body: payload });
+        result = await response.json();
+    } catch (error) {
+        console.error('Lead submission failed:', error);
+        result = { success: false };
+    } finally {
+        setLoading(form, false);
+    }
+
+    if (result.success) {
+        form.reset();
+        form.classList.remove('was-validated');
+        if (form.dataset.leadSuccess) {
+            status.textContent = '';
+            showSuccessView(form, true);
+        } else {
+            status.textContent = STATUS_MESSAGES.success;
+        }
+    } else if (result.queued) {
+        form.reset();
+        form.classList.remove('was-validated');
+        status.textContent = STATUS_MESSAGES.queued;
+    } else if (result.errors) {
+        showFieldErrors(form, result.errors);
+        status.textContent = STATUS_MESSAGES.invalid;
+    } else {
+        status.textContent = result.status === 403 ? STATUS_MESSAGES.expired : STATUS_MESSAGES.failure;
+    }
+}
+
+// Marks the fields the endpoint refused (doPost's { field, code, message })
+// until the visitor edits them.
+function showFieldErrors(form, errors) {
+    errors.forEach(error => {
+        const field = form.elements.namedItem(error.field);
+        if (!field || !field.setCustomValidity) return;
+        field.setCustomValidity(error.message);
+        field.addEventListener('input', () => field.setCustomValidity(''), { once: true });
+    });
+    form.classList.add('was-validated');
+    form.reportValidity();
+}
+
+// Named fields, trimmed, with the lead type's defaults for anything left empty.
+function buildPayload(form) {
+    const lead = { project: form.dataset.leadProject || '' };
+    for (const [name, value] of new FormData(form)) {
+        if (typeof value === 'string') lead[name] = value.trim();
+    }
+    const phoneInput = form.querySelector('input[name="phone"]');
+    if (phoneInput && lead.phone) lead.phone = getFullPhone(phoneInput);
+
+    const payload = new FormData();
+    const defaults = LEAD_TYPES[form.dataset.leadForm](lead);
+    for (const [name, value] of Object.entries(Object.assign({}, defaults, withoutEmpty(lead)))) {
+        if (name !== 'project') payload.append(name, value);
+    }
+    return payload;
+}
+
+function withoutEmpty(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ''));
+}
+
+function getStatusElement(form) {
+    const submitButton = form.querySelector('button[type="submit"]');
+    const wrapper = submitButton ? submitButton.parentNode : form;
+    let status = wrapper.querySelector('.submission-status');
+    if (!status) {
+        status = document.createElement('div');
+        status.className = 'small text-muted mt-3 submission-status';
+        status.setAttribute('aria-live', 'polite');
+        wrapper.appendChild(status);
+    }
+    return status;
+}
+
+// Buttons with .btn-text/.btn-loading spans toggle them; others get a spinner.
+function setLoading(form, loading) {
+    const button = form.querySelector('button[type="submit"]');
+    if (!button) return;
+    button.disabled = loading;
+
+    const text = button.querySelector('.btn-text');
+    const spinner = button.querySelector('.btn-loading');
+    if (text && spinner) {
+        text.classList.toggle('d-none', loading);
+        spinner.classList.toggle('d-none', !loading);
+    } else if (loading) {
+        button.dataset.leadLabel = button.innerHTML;
+        button.innerHTML = '<span class="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>Sending...';
+    } else if (button.dataset.leadLabel) {
+        button.innerHTML = button.dataset.leadLabel;
+    }
+}
+
+function showSuccessView(form, success) {
+    const formView = form.dataset.leadFormView ? document.querySelector(form.dataset.leadFormView) : form;
+    const successView = document.querySelector(form.dataset.leadSuccess);
+    if (formView) formView.classList.toggle('d-none', success);
+    if (successView) successView.classList.toggle('d-none', !success);
+}
@@ -0,0 +1,161 @@
+/**
+ * Outbox for lead submissions, kept in IndexedDB so a lead survives a
+ * dropped connection, a closed tab or a reload.
+ *
+ * analytics/forms.js stores every lead here before sending it and removes it
+ * once the endpoint has answered (saved or refused). Leads whose send failed
+ * are retried with exponential backoff: when the browser comes back online,
+ * on the next page load, and on a timer while the page stays open. Retries
+ * reuse the lead's event_id, which doPost deduplicates, so a lead that did
+ * arrive the first time is never saved twice.
+ */
+
+const DB_NAME = 'ui_leads';
+const STORE = 'outbox';
+
+const RETRY_BASE_MS = 30 * 1000;          // 30 s, 1 min, 2 min, ...
+const RETRY_MAX_MS = 30 * 60 * 1000;      // ... capped at 30 min
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // give up after a week
+
+let dbPromise = null;
+let handlers = null; // { send, onExpired } once startLeadQueue() has run
+let flushing = false;
+let flushTimer = null;
+
+/**
+ * Stores an outgoing lead. Until its first send fails, the lead is not due,
+ * so a retry run can't race the live request.
+ *
+ * @param {string} endpoint - Lead endpoint URL
+ * @param {FormData} body - Complete lead payload; must contain event_id
+ * @param {Object} meta - Kept with the lead for reporting, e.g. { formName, subject }
+ * @returns {Promise<void>} Resolves even if storage is unavailable
+ */
+export async function queueLead(endpoint, body, meta) {
+    const now = Date.now();
+    await write(store => store.put({
+        event_id: body.get('event_id'),
+        endpoint,
+        fields: [...body.entries()].filter(([, value]) => typeof value === 'string'),
+        meta,
+        created_at: now,
+        attempts: 0,
+        next_attempt_at: now + RETRY_BASE_MS
+    }));
+}
+
+/**
+ * Removes a lead the endpoint has answered for.
+ *
+ * @param {string} eventId
+ * @returns {Promise<void>}
+ */
+export async function dequeueLead(eventId) {
+    await write(store => store.delete(eventId));
+}
+
+/**
+ * Records a failed send and schedules the next retry.
+ *
+ * @param {string} eventId
+ * @returns {Promise<void>}
+ */
+export async function retryLeadLater(eventId) {
+    const entry = await read(eventId);
+    if (!entry) return;
+    entry.attempts += 1;
+    entry.next_attempt_at = Date.now() + Math.min(RETRY_BASE_MS * 2 ** (entry.attempts - 1), RETRY_MAX_MS);
+    await write(store => store.put(entry));
+    scheduleFlush();
+}
+
+/**
+ * Starts retrying stored leads: now, whenever the browser comes back online,
+ * and whenever the next retry is due.
+ *
+ * @param {Function} send - async (endpoint, FormData, meta) => reply; throws if undeliverable
+ * @param {Function} onExpired - Called with (meta) for leads dropped after MAX_AGE_MS
+ */
+export function startLeadQueue(send, onExpired) {
+    handlers = { send, onExpired };
+    window.addEventListener('online', flushQueue);
+    flushQueue();
+}
+
+// Sets a timer for the earliest retry that is due.
+async function scheduleFlush() {
+    if (!handlers) return;
+    clearTimeout(flushTimer);
+    const entries = await readAll();
+    if (!entries.length) return;
+    const next = Math.min(...entries.map(entry => entry.next_attempt_at));
+    flushTimer = setTimeout(flushQueue, Math.max(next - Date.now(), 1000));
+}
+
+async function flushQueue() {
+    if (flushing || !navigator.onLine) return;
+    flushing = true;
+    try {
+        for (const entry of await readAll()) {
+            if (Date.now() - entry.created_at > MAX_AGE_MS) {
+                await dequeueLead(entry.event_id);
+                handlers.onExpired(entry.meta);
+                continue;
+            }
+            if (entry.next_attempt_at > Date.now()) continue;
+
+            const body = new FormData();
+            entry.fields.forEach(([name, value]) => body.append(name, value));
+            try {
+                await handlers.send(entry.endpoint, body, entry.meta);
+                await dequeueLead(entry.event_id);
+            } catch (error) {
+                await retryLeadLater(entry.event_id);
+            }
+        }
+    } finally {
+        flushing = false;
+        scheduleFlush();
+    }
+}
+
+// ---- IndexedDB plumbing. Storage failures are logged, never thrown: the
+// live send must go ahead even where IndexedDB is blocked.
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'event_id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+async function transact(mode, operation) {
+    try {
+        const db = await openDb();
+        return await new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } catch (error) {
+        console.warn('Lead queue unavailable:', error);
+        return undefined;
+    }
+}
+
+function write(operation) {
+    return transact('readwrite', operation);
+}
+
+function read(eventId) {
+    return transact('readonly', store => store.get(eventId));
+}
+
+async function readAll() {
+    return (await transact('readonly', store => store.getAll())) || [];
+}
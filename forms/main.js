@@ -0,0 +1,40 @@
+import { initAntiSpam } from './antispam.js';
+import { initConsent } from './consent.js';
+import { initBrochureDelivery } from './brochure.js';
+import { initLeadForms } from './lead-forms.js';
+import { initPhoneVerification } from './otp.js';
+import { initPhoneInputs } from './phone.js';
+import { initLeadWizards } from './wizard.js';
+import { initSiteVisits } from './site-visit.js';
+
+/**
+ * Main Entry Point for the shared lead-form helpers.
+ * Loaded after analytics/main.js on every page with a lead form.
+ */
+(function initForms() {
+    // 1. Site-visit booking modal, added first so the helpers below bind its form
+    initSiteVisits();
+
+    // 2. Honeypot fields and fill timers on every lead form
+    initAntiSpam();
+
+    // 3. Consent checkbox on every lead form (blocks submission until ticked)
+    initConsent();
+
+    // 4. Enquiry and contact forms ask qualifying questions one step at a time
+    //    (after 2-3, so the fields they add land in the contact step)
+    initLeadWizards();
+
+    // 5. Country code picker and per-country length check on every phone field
+    initPhoneInputs();
+
+    // 6. Validation, submission and success UI for every <form data-lead-form>
+    initLeadForms();
+
+    // 7. Signed brochure download link after a brochure request
+    initBrochureDelivery();
+
+    // 8. One-time code step for the lead-magnet Get Price popup
+    //    (declarative forms opt in with data-lead-verify="phone")
+    initPhoneVerification();
+})();
@@ -0,0 +1,191 @@
+import { CONFIG, getLeadEndpoint, getSessionId } from '../analytics/config.js';
+import { trackEvent } from '../analytics/events.js';
+import { getSubmissionToken } from './token.js';
+
+/**
+ * Phone verification for high-intent forms (Get Price, brochure, site visit).
+ *
+ * Before such a lead is sent, the lead endpoint texts the visitor a one-time
+ * code (POST action=otp_send, through the SMS / WhatsApp provider set up in
+ * appscript.js) and the form asks for it in place. A correct code
+ * (action=otp_verify) returns a signed proof that travels with the lead as
+ * `phone_verification`; doPost checks it and marks the lead "verified".
+ *
+ * Verification never costs a lead: if the endpoint has no provider, the code
+ * can't be sent, or the visitor skips the step, the lead goes out unverified.
+ *
+ * Declarative forms opt in with data-lead-verify="phone" (forms/lead-forms.js).
+ * lead-magnet.js is a classic script and calls window.uiVerifyPhone instead.
+ */
+
+const PROOF_CACHE_KEY = 'ui_phone_verification';
+// "Send without verifying" is offered once the code had time to arrive.
+const SKIP_AFTER_MS = 30 * 1000;
+
+/**
+ * Exposes verifyPhone() to classic scripts as window.uiVerifyPhone, unless
+ * CONFIG.PHONE_VERIFICATION is off.
+ */
+export function initPhoneVerification() {
+    if (CONFIG.PHONE_VERIFICATION) window.uiVerifyPhone = verifyPhone;
+}
+
+/**
+ * Sends a code to `phone` and shows the code step inside `host`, whose other
+ * children are hidden until the step ends.
+ *
+ * @param {HTMLElement} host - Element the step replaces (the form, or a popup view)
+ * @param {string} phone - The number as typed
+ * @returns {Promise<string|null>} The proof to send as phone_verification;
+ *   '' to send the lead unverified; null if the visitor went back to change
+ *   their number (send nothing).
+ */
+export async function verifyPhone(host, phone) {
+    if (!CONFIG.PHONE_VERIFICATION) return '';
+
+    const cached = readCachedProof(phone);
+    if (cached) return cached;
+
+    const endpoint = getLeadEndpoint();
+    let sent;
+    try {
+        sent = await postOtp(endpoint, 'otp_send', { phone });
+    } catch (error) {
+        console.warn('Phone verification unavailable:', error);
+        return '';
+    }
+    // No provider, throttled, or a number doPost's validation will flag anyway
+    if (!sent.success) return '';
+
+    trackEvent('phone_verification_sent', { form_type: host.dataset.leadForm || host.id });
+    return new Promise(resolve => showCodeStep(host, endpoint, phone, sent.phone, resolve));
+}
+
+function showCodeStep(host, endpoint, phone, displayPhone, resolve) {
+    const hidden = Array.from(host.children).filter(el => !el.classList.contains('d-none'));
+    hidden.forEach(el => el.classList.add('d-none'));
+
+    const step = document.createElement('div');
+    step.className = 'phone-verification text-center py-2';
+    step.innerHTML = `
+        <i class="fas fa-mobile-alt fa-2x text-primary mb-2"></i>
+        <p class="mb-3">We've sent a 6-digit code to <strong></strong>. Enter it to confirm your number.</p>
+        <input type="text" class="form-control text-center mb-2" inputmode="numeric" autocomplete="one-time-code"
+            maxlength="6" aria-label="Verification code" placeholder="------">
+        <div class="small text-danger mb-2" role="alert"></div>
+        <button type="button" class="btn btn-accent w-100" data-otp="verify">Verify &amp; Continue</button>
+        <div class="small text-muted mt-3">
+            <a href="#" data-otp="resend">Resend code</a> &middot;
+            <a href="#" data-otp="change">Change number</a>
+            <span class="d-none" data-otp="skip-wrap">&middot; <a href="#" data-otp="skip">Continue without verifying</a></span>
+        </div>`;
+    step.querySelector('strong').textContent = displayPhone;
+    host.appendChild(step);
+
+    const input = step.querySelector('input');
+    const message = step.querySelector('[role="alert"]');
+    const verifyButton = step.querySelector('[data-otp="verify"]');
+    const modal = host.closest('.modal');
+    const skipTimer = setTimeout(() => step.querySelector('[data-otp="skip-wrap"]').classList.remove('d-none'), SKIP_AFTER_MS);
+    input.focus();
+
+    function finish(result) {
+        clearTimeout(skipTimer);
+        if (modal) modal.removeEventListener('hidden.bs.modal', onModalClosed);
+        step.remove();
+        hidden.forEach(el => el.classList.remove('d-none'));
+        resolve(result);
+    }
+    // Closing the modal abandons the step; the form starts over next time.
+    function onModalClosed() {
+        finish(null);
+    }
+    if (modal) modal.addEventListener('hidden.bs.modal', onModalClosed);
+
+    async function verify() {
+        const code = input.value.replace(/\s/g, '');
+        if (!/^\d{6}$/.test(code)) {
+            message.textContent = 'Please enter the 6-digit code.';
+            return;
+        }
+        verifyButton.disabled = true;
+        message.textContent = '';
+        try {
+            const result = await postOtp(endpoint, 'otp_verify', { phone, code });
+            if (result.success) {
+                cacheProof(phone, result);
+                trackEvent('phone_verified', { form_type: host.dataset.leadForm || host.id });
+                finish(result.verification);
+                return;
+            }
+            message.textContent = result.errors ? result.errors[0].message : 'That code could not be checked. Please try again.';
+        } catch (error) {
+            message.textContent = 'That code could not be checked. Please try again.';
+        }
+        verifyButton.disabled = false;
+    }
+
+    verifyButton.addEventListener('click', verify);
+    // Enter would otherwise submit the surrounding form a second time
+    input.addEventListener('keydown', e => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        verify();
+    });
+
+    step.querySelector('[data-otp="resend"]').addEventListener('click', async e => {
+        e.preventDefault();
+        message.textContent = '';
+        try {
+            const result = await postOtp(endpoint, 'otp_send', { phone });
+            message.textContent = result.success ? 'A new code is on its way.' : result.error;
+        } catch (error) {
+            message.textContent = 'We couldn\'t send a new code. Please try again.';
+        }
+    });
+    step.querySelector('[data-otp="change"]').addEventListener('click', e => {
+        e.preventDefault();
+        finish(null);
+    });
+    step.querySelector('[data-otp="skip"]').addEventListener('click', e => {
+        e.preventDefault();
+        trackEvent('phone_verification_skipped', { form_type: host.dataset.leadForm || host.id });
+        finish('');
+    });
+}
+
+// URL-encoded rather than FormData, so analytics/forms.js lets it through
+// instead of treating it as a lead.
+async function postOtp(endpoint, action, fields) {
+    const body = new URLSearchParams(Object.assign({
+        action,
+        session_id: getSessionId(),
+        origin: window.location.origin,
+        token: await getSubmissionToken(endpoint)
+    }, fields));
+    const response = await fetch(endpoint, { method: 'POST', body });
+    return response.json();
+}
+
+// A number verified earlier this session isn't asked for again while its
+// proof is valid (proofs are bound to the session on the server).
+function cacheProof(phone, result) {
+    sessionStorage.setItem(PROOF_CACHE_KEY, JSON.stringify({
+        phone: phone.replace(/\D/g, ''),
+        verification: result.verification,
+        expires_at: result.expires_at
+    }));
+}
+
+function readCachedProof(phone) {
+    try {
+        const cached = JSON.parse(sessionStorage.getItem(PROOF_CACHE_KEY) || 'null');
+        if (cached && cached.phone === phone.replace(/\D/g, '') &&
+            new Date(cached.expires_at).getTime() - Date.now() > 60 * 1000) {
+            return cached.verification;
+        }
+    } catch (e) {
+        // Unreadable cache: verify again
+    }
+    return null;
+}
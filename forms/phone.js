@@ -0,0 +1,180 @@
+import { watchLeadForms } from './lead-forms.js';
+
+/**
+ * International phone numbers on every lead form.
+ *
+ * Each phone field gets a country-code picker in front of it (India first,
+ * then the countries most of our NRI buyers call from) and is checked
+ * against that country's number length. The complete number ("+971501234567") is kept on the input as
+ * data-full-phone for the code that sends the lead: lead-forms.js and
+ * lead-magnet.js send it in place of what was typed. doPost flags numbers
+ * outside India as NRI leads.
+ *
+ * A number typed with its own "+" or "00" prefix is taken as is, whatever
+ * the picker says. The picked country is remembered for the next visit.
+ */
+
+const COUNTRY_KEY = 'ui_phone_country';
+
+// [code, name, dial code, allowed national number lengths]. appscript.js only
+// sends verification codes to these dial codes (OTP_COUNTRY_CODES): add a new
+// one there too.
+const COUNTRIES = [
+    ['IN', 'India', '91', [10]],
+    ['AE', 'United Arab Emirates', '971', [9]],
+    ['US', 'United States', '1', [10]],
+    ['GB', 'United Kingdom', '44', [10]],
+    ['CA', 'Canada', '1', [10]],
+    ['SA', 'Saudi Arabia', '966', [9]],
+    ['QA', 'Qatar', '974', [8]],
+    ['KW', 'Kuwait', '965', [8]],
+    ['OM', 'Oman', '968', [8]],
+    ['BH', 'Bahrain', '973', [8]],
+    ['SG', 'Singapore', '65', [8]],
+    ['AU', 'Australia', '61', [9]],
+    ['NZ', 'New Zealand', '64', [8, 9, 10]],
+    ['HK', 'Hong Kong', '852', [8]],
+    ['MY', 'Malaysia', '60', [9, 10]],
+    ['DE', 'Germany', '49', [10, 11]],
+    ['FR', 'France', '33', [9]],
+    ['NL', 'Netherlands', '31', [9]],
+    ['IE', 'Ireland', '353', [9]],
+    ['ZA', 'South Africa', '27', [9]],
+    ['KE', 'Kenya', '254', [9]],
+    ['NP', 'Nepal', '977', [10]]
+];
+
+// Starting country for visitors who haven't picked one, by device time zone.
+const TIME_ZONE_COUNTRIES = {
+    'Asia/Dubai': 'AE',
+    'Asia/Riyadh': 'SA',
+    'Asia/Qatar': 'QA',
+    'Asia/Kuwait': 'KW',
+    'Asia/Muscat': 'OM',
+    'Asia/Bahrain': 'BH',
+    'Asia/Singapore': 'SG',
+    'Asia/Hong_Kong': 'HK',
+    'Asia/Kuala_Lumpur': 'MY',
+    'Asia/Kathmandu': 'NP',
+    'Europe/London': 'GB',
+    'Europe/Dublin': 'IE',
+    'Europe/Berlin': 'DE',
+    'Europe/Paris': 'FR',
+    'Europe/Amsterdam': 'NL',
+    'Africa/Johannesburg': 'ZA',
+    'Africa/Nairobi': 'KE',
+    'Pacific/Auckland': 'NZ'
+};
+const TIME_ZONE_REGIONS = [
+    [/^America\/(Toronto|Vancouver|Edmonton|Winnipeg|Halifax|Regina)$/, 'CA'],
+    [/^America\//, 'US'],
+    [/^Australia\//, 'AU']
+];
+
+const pickers = new WeakMap(); // phone input -> its country <select>
+
+/**
+ * Adds the country picker to every lead form's phone field now in the DOM
+ * and any added later (the lead-magnet popups, the site-visit modal).
+ */
+export function initPhoneInputs() {
+    watchLeadForms(enhanceForm);
+}
+
+/**
+ * The complete international number for a phone field, e.g. "+971501234567",
+ * or what was typed if the field has no picker.
+ *
+ * @param {HTMLInputElement} input
+ * @returns {string}
+ */
+export function getFullPhone(input) {
+    return input.dataset.fullPhone || input.value.trim();
+}
+
+function enhanceForm(form) {
+    form.querySelectorAll('input[type="tel"]').forEach(enhanceInput);
+}
+
+function enhanceInput(input) {
+    if (pickers.has(input)) return;
+
+    input.setAttribute('autocomplete', 'tel-national');
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Country code');
+    COUNTRIES.forEach(([code, name, dial]) => {
+        const option = new Option(`${flag(code)} +${dial}`, code);
+        option.title = name;
+        select.appendChild(option);
+    });
+    select.value = initialCountry();
+
+    // Bootstrap forms get an input-group; the lead-magnet popups style their own fields
+    const popupClass = [...input.classList].find(cls => /^ui-.*-input$/.test(cls));
+    const group = document.createElement('div');
+    group.className = popupClass ? 'ui-phone-group' : 'input-group ui-phone-group';
+    select.className = (popupClass ? popupClass : 'form-select') + ' ui-phone-country';
+    input.parentNode.insertBefore(group, input);
+    group.appendChild(select);
+    group.appendChild(input);
+    pickers.set(input, select);
+
+    const update = () => validate(input, select);
+    input.addEventListener('input', update);
+    select.addEventListener('change', () => {
+        localStorage.setItem(COUNTRY_KEY, select.value);
+        update();
+    });
+    // Forms reset after a save; keep the country, clear the stored number
+    if (input.form) input.form.addEventListener('reset', () => setTimeout(update));
+    update();
+}
+
+// Sets data-full-phone and the field's validity message for the chosen country.
+function validate(input, select) {
+    const typed = input.value.trim();
+    let digits = typed.replace(/\D/g, '');
+
+    if (!digits) {
+        delete input.dataset.fullPhone;
+        input.setCustomValidity('');
+        return;
+    }
+
+    // Typed with its own country code
+    if (/^(\+|00)/.test(typed)) {
+        if (typed.startsWith('00')) digits = digits.slice(2);
+        input.dataset.fullPhone = '+' + digits;
+        input.setCustomValidity(digits.length >= 8 && digits.length <= 15 ? '' : 'Please enter a valid international number.');
+        return;
+    }
+
+    const [, name, dial, lengths] = COUNTRIES.find(country => country[0] === select.value) || COUNTRIES[0];
+    // Drop a national trunk prefix ("07700 900123" in the UK, "098100..." in India)
+    if (digits.startsWith('0')) digits = digits.replace(/^0+/, '');
+    input.dataset.fullPhone = `+${dial}${digits}`;
+    input.setCustomValidity(lengths.includes(digits.length)
+        ? ''
+        : `Please enter a ${lengths.join(' or ')}-digit ${name} number (without +${dial}).`);
+}
+
+function initialCountry() {
+    const saved = localStorage.getItem(COUNTRY_KEY);
+    if (saved && COUNTRIES.some(country => country[0] === saved)) return saved;
+
+    let timeZone = '';
+    try {
+        timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    } catch (e) {
+        // Very old browsers: fall back to India
+    }
+    if (TIME_ZONE_COUNTRIES[timeZone]) return TIME_ZONE_COUNTRIES[timeZone];
+    const region = TIME_ZONE_REGIONS.find(([pattern]) => pattern.test(timeZone));
+    return region ? region[1] : 'IN';
+}
+
+// "AE" -> 🇦🇪 (regional indicator symbols)
+function flag(code) {
+    return String.fromCodePoint(...[...code].map(c => 0x1F1E6 + c.charCodeAt(0) - 65));
+}
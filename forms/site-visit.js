@@ -0,0 +1,302 @@
+import { CONFIG, getLeadEndpoint } from '../analytics/config.js';
+import { contactFor } from '../analytics/contacts.js';
+
+/**
+ * Site-visit booking widget.
+ *
+ * Any element with data-site-visit="<Project>" (the "Book Site Visit"
+ * buttons, script.js's scheduleViewing) opens a modal listing the project's
+ * open slots from the lead endpoint (?action=visit_slots, configured in the
+ * "Visit Slots" sheet). The visitor picks a date, a time and pickup or
+ * self-drive. The modal's form is a declarative lead form
+ * (data-lead-form="site-visit", phone verified): doPost books the slot along
+ * with the lead and refuses a slot taken in the meantime. The confirmation
+ * offers the visit as an .ics calendar file.
+ */
+
+const MODAL_ID = 'siteVisitModal';
+const SUBJECT_PREFIX = 'Site Visit - ';
+
+const MODAL_HTML = `
+<div class="modal-dialog modal-dialog-centered">
+  <div class="modal-content">
+    <div class="modal-header border-0">
+      <h5 class="modal-title fw-bold" id="siteVisitModalLabel">Book a Site Visit</h5>
+      <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+    </div>
+    <div class="modal-body p-4">
+      <div id="siteVisitFormView">
+        <p class="text-dark small mb-4">Pick a time to see <strong data-visit="project"></strong> with one of our advisors. Free pickup and drop available.</p>
+        <form id="siteVisitForm" data-lead-form="site-visit" data-lead-verify="phone"
+              data-lead-required="visit_date visit_time transport full_name phone"
+              data-lead-success="#siteVisitSuccess" data-lead-form-view="#siteVisitFormView">
+          <div class="row g-2 mb-3">
+            <div class="col-7">
+              <label for="siteVisitDate" class="form-label">Date *</label>
+              <select class="form-select" id="siteVisitDate" name="visit_date"></select>
+            </div>
+            <div class="col-5">
+              <label for="siteVisitTime" class="form-label">Time *</label>
+              <select class="form-select" id="siteVisitTime" name="visit_time"></select>
+            </div>
+          </div>
+          <div class="mb-3">
+            <span class="form-label d-block">Getting there *</span>
+            <div class="form-check form-check-inline">
+              <input class="form-check-input" type="radio" name="transport" id="siteVisitPickup" value="pickup" checked>
+              <label class="form-check-label" for="siteVisitPickup">Pick me up</label>
+            </div>
+            <div class="form-check form-check-inline">
+              <input class="form-check-input" type="radio" name="transport" id="siteVisitSelfDrive" value="self-drive">
+              <label class="form-check-label" for="siteVisitSelfDrive">I'll drive myself</label>
+            </div>
+          </div>
+          <div class="mb-3" data-visit="pickup">
+            <label for="siteVisitAddress" class="form-label">Pickup address *</label>
+            <input type="text" class="form-control" id="siteVisitAddress" name="pickup_address" maxlength="300" required>
+          </div>
+          <div class="mb-3">
+            <label for="siteVisitName" class="form-label">Full Name *</label>
+            <input type="text" class="form-control" id="siteVisitName" name="full_name">
+          </div>
+          <div class="mb-3">
+            <label for="siteVisitPhone" class="form-label">Phone Number *</label>
+            <input type="tel" class="form-control" id="siteVisitPhone" name="phone">
+          </div>
+          <button type="submit" class="btn btn-accent w-100">
+            <i class="fas fa-calendar-check me-2"></i>Confirm Visit
+          </button>
+        </form>
+      </div>
+      <div id="siteVisitUnavailable" class="d-none text-center py-3">
+        <i class="fas fa-calendar-alt fa-3x text-primary mb-3"></i>
+        <p>Online booking isn't open for this project yet. Message us and we'll fix a time that suits you.</p>
+        <a class="btn btn-success w-100" target="_blank" rel="noopener" data-visit="whatsapp">
+          <i class="fab fa-whatsapp me-2"></i>Book on WhatsApp
+        </a>
+      </div>
+      <div id="siteVisitSuccess" class="d-none text-center py-3" aria-live="polite"></div>
+    </div>
+  </div>
+</div>`;
+
+let modal = null;
+let form = null;
+let slots = null; // visit_slots reply for the open project
+let calendarUrl = null;
+
+/**
+ * Adds the booking modal to the page and opens it from every
+ * [data-site-visit] element. Also exposes it to classic scripts as
+ * window.uiBookSiteVisit(project). Runs before initLeadForms() so the
+ * modal's form is bound like any other lead form.
+ */
+export function initSiteVisits() {
+    modal = document.createElement('div');
+    modal.className = 'modal fade';
+    modal.id = MODAL_ID;
+    modal.tabIndex = -1;
+    modal.setAttribute('aria-labelledby', 'siteVisitModalLabel');
+    modal.setAttribute('aria-hidden', 'true');
+    modal.innerHTML = MODAL_HTML;
+    document.body.appendChild(modal);
+    form = modal.querySelector('form');
+
+    document.addEventListener('click', function(e) {
+        const trigger = e.target.closest('[data-site-visit]');
+        if (!trigger) return;
+        e.preventDefault();
+        openSiteVisit(trigger.dataset.siteVisit);
+    });
+    window.uiBookSiteVisit = openSiteVisit;
+
+    form.elements.visit_date.addEventListener('change', fillTimes);
+    form.querySelectorAll('input[name="transport"]').forEach(radio => radio.addEventListener('change', togglePickup));
+
+    // doPost refused the slot (SLOT_TAKEN): show what is still free
+    form.elements.visit_time.addEventListener('invalid', function() {
+        if (this.validity.customError) loadSlots(form.dataset.leadProject, form.elements.visit_date.value);
+    });
+
+    window.addEventListener(CONFIG.LEAD_SUBMITTED_EVENT, function(e) {
+        if (!e.detail.subject.startsWith(SUBJECT_PREFIX)) return;
+        showConfirmation(e.detail.result.booking);
+    });
+
+    modal.addEventListener('hidden.bs.modal', function() {
+        if (calendarUrl) URL.revokeObjectURL(calendarUrl);
+        calendarUrl = null;
+    });
+}
+
+/**
+ * Opens the booking modal for a project.
+ *
+ * @param {string} project - Project name as used in subjects and the Visit Slots sheet
+ */
+export function openSiteVisit(project) {
+    form.dataset.leadProject = project;
+    modal.querySelector('[data-visit="project"]').textContent = project;
+    modal.querySelector('[data-visit="whatsapp"]').href = `https://wa.me/${contactFor(project).whatsapp}?text=` +
+        encodeURIComponent(`Hi Urban Investors, I'd like to book a site visit for ${project}.`);
+    form.reset();
+    form.classList.remove('was-validated');
+    togglePickup();
+    loadSlots(project);
+    window.bootstrap.Modal.getOrCreateInstance(modal).show();
+}
+
+async function loadSlots(project, keepDate) {
+    const dateSelect = form.elements.visit_date;
+    setOptions(dateSelect, [{ value: '', label: 'Loading dates…' }]);
+    setOptions(form.elements.visit_time, [{ value: '', label: '—' }]);
+    showView('siteVisitFormView');
+
+    const url = new URL(getLeadEndpoint());
+    url.searchParams.set('action', 'visit_slots');
+    url.searchParams.set('project', project);
+    try {
+        const response = await fetch(url.toString(), { method: 'GET' });
+        slots = await response.json();
+    } catch (error) {
+        console.error('Could not load visit slots:', error);
+        slots = null;
+    }
+    if (form.dataset.leadProject !== project) return; // another project was opened meanwhile
+
+    const days = slots && slots.success ? slots.days.filter(day => day.times.some(time => time.available)) : [];
+    if (!days.length) {
+        showView('siteVisitUnavailable');
+        return;
+    }
+    setOptions(dateSelect, [{ value: '', label: 'Choose a date' }].concat(days.map(day => ({
+        value: day.date,
+        label: formatDate(day.date)
+    }))));
+    if (keepDate && days.some(day => day.date === keepDate)) dateSelect.value = keepDate;
+    fillTimes();
+}
+
+function fillTimes() {
+    const day = slots && slots.days ? slots.days.find(d => d.date === form.elements.visit_date.value) : null;
+    const options = day
+        ? [{ value: '', label: 'Time' }].concat(day.times.map(slot => ({
+            value: slot.time,
+            label: formatTime(slot.time) + (slot.available ? '' : ' (booked)'),
+            disabled: !slot.available
+        })))
+        : [{ value: '', label: '—' }];
+    setOptions(form.elements.visit_time, options);
+}
+
+function togglePickup() {
+    const pickup = form.elements.transport.value === 'pickup';
+    modal.querySelector('[data-visit="pickup"]').classList.toggle('d-none', !pickup);
+    form.elements.pickup_address.required = pickup;
+}
+
+function showConfirmation(booking) {
+    const view = document.getElementById('siteVisitSuccess');
+    if (!booking) {
+        view.innerHTML = `
+            <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+            <h6>Thank you!</h6>
+            <p class="mb-0">Our advisor will call you shortly to confirm your visit.</p>`;
+        return;
+    }
+
+    calendarUrl = URL.createObjectURL(new Blob([buildIcs(booking)], { type: 'text/calendar' }));
+    view.innerHTML = `
+        <i class="fas fa-calendar-check fa-3x text-success mb-3"></i>
+        <h6>Your visit is booked</h6>
+        <p class="mb-1"><strong></strong></p>
+        <p class="mb-3 small"></p>
+        <a class="btn btn-accent w-100" download="site-visit.ics">
+            <i class="fas fa-calendar-plus me-2"></i>Add to Calendar
+        </a>
+        <p class="small text-muted mt-3 mb-0">Booking ${escapeHtml(booking.id)}. Our advisor will call to confirm the day before.</p>`;
+    view.querySelector('strong').textContent = `${booking.project} · ${formatDate(booking.date)}, ${formatTime(booking.time)}`;
+    view.querySelector('p.small').textContent = booking.transport === 'pickup'
+        ? `We'll pick you up from ${booking.pickup_address}.`
+        : `Meet us at ${booking.location || booking.project}.`;
+    view.querySelector('a').href = calendarUrl;
+}
+
+// RFC 5545 calendar file with a reminder two hours before.
+function buildIcs(booking) {
+    const start = new Date(booking.starts_at);
+    const end = new Date(start.getTime() + booking.duration_minutes * 60 * 1000);
+    const description = `Booking ${booking.id}. ` + (booking.transport === 'pickup'
+        ? `Pickup from ${booking.pickup_address}.`
+        : 'Self-drive.') + ` To reschedule, WhatsApp us on +${contactFor(booking.project).whatsapp}.`;
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Urban Investors//Site Visits//EN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${booking.id}@urbaninvestors.in`,
+        `DTSTAMP:${icsTime(new Date())}`,
+        `DTSTART:${icsTime(start)}`,
+        `DTEND:${icsTime(end)}`,
+        `SUMMARY:${icsText(`Site visit: ${booking.project}`)}`,
+        `LOCATION:${icsText(booking.location || booking.project)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'DESCRIPTION:Site visit reminder',
+        'TRIGGER:-PT2H',
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function icsTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(text) {
+    return String(text).replace(/([\\;,])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 characters continue on the next line after a space.
+function foldIcsLine(line) {
+    const parts = [];
+    for (let i = 0; i < line.length; i += 74) parts.push(line.slice(i, i + 74));
+    return parts.join('\r\n ');
+}
+
+function showView(id) {
+    ['siteVisitFormView', 'siteVisitUnavailable', 'siteVisitSuccess'].forEach(viewId => {
+        document.getElementById(viewId).classList.toggle('d-none', viewId !== id);
+    });
+}
+
+function setOptions(select, options) {
+    select.innerHTML = '';
+    options.forEach(option => {
+        const el = new Option(option.label, option.value);
+        el.disabled = Boolean(option.disabled);
+        select.appendChild(el);
+    });
+}
+
+// "2026-10-24" -> "Sat, 24 Oct"
+function formatDate(date) {
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-IN', {
+        weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC'
+    });
+}
+
+// "15:30" -> "3:30 PM"
+function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => (
+        { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+}
@@ -0,0 +1,82 @@
+/**
+ * Delivers a lead POST to the Apps Script endpoint and returns the
+ * endpoint's verdict instead of assuming success.
+ *
+ * The reply is normally read as CORS JSON. When the browser cannot read it
+ * (the googleusercontent.com redirect blocked, a dropped connection), the
+ * outcome is looked up by event ID over JSONP (`?action=submission`). Only if
+ * the endpoint never saw the event is the POST resent; doPost ignores
+ * replayed event IDs, so a resend can't create a second lead.
+ */
+
+const LOOKUP_TIMEOUT_MS = 8000;
+// After a blind (no-cors) resend, give the endpoint time to finish saving.
+const RESEND_LOOKUP_DELAYS_MS = [1500, 4000];
+
+/**
+ * @param {Function} fetchImpl - The unpatched window.fetch
+ * @param {string} endpoint - Lead endpoint URL
+ * @param {FormData} body - Complete lead payload (including event_id and session_id)
+ * @returns {Promise<Object>} The doPost reply: `{ success, status, ... }`, with
+ *   `errors` for validation failures (status 400). Rejects if the lead could
+ *   not be delivered at all.
+ */
+export async function sendLead(fetchImpl, endpoint, body) {
+    const eventId = body.get('event_id');
+    const sessionId = body.get('session_id');
+
+    try {
+        const response = await fetchImpl(endpoint, { method: 'POST', body });
+        return await response.json();
+    } catch (readError) {
+        console.warn('Lead reply unreadable, checking delivery by event ID:', readError);
+    }
+
+    const earlier = await lookupSubmission(endpoint, eventId, sessionId);
+    if (earlier) return earlier;
+
+    await fetchImpl(endpoint, { method: 'POST', body, mode: 'no-cors' });
+    for (const delay of RESEND_LOOKUP_DELAYS_MS) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        const resent = await lookupSubmission(endpoint, eventId, sessionId);
+        if (resent) return resent;
+    }
+    throw new Error('Lead delivery could not be confirmed');
+}
+
+// The cached doPost reply for this event, or null if the endpoint has none.
+async function lookupSubmission(endpoint, eventId, sessionId) {
+    const url = new URL(endpoint);
+    url.searchParams.set('action', 'submission');
+    url.searchParams.set('event_id', eventId);
+    url.searchParams.set('session_id', sessionId);
+    try {
+        const result = await loadJsonp(url);
+        return result.status === 404 ? null : result;
+    } catch (error) {
+        console.warn('Submission lookup failed:', error);
+        return null;
+    }
+}
+
+function loadJsonp(url) {
+    return new Promise((resolve, reject) => {
+        const callback = `uiLeadResult_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+        const script = document.createElement('script');
+        const timer = setTimeout(() => finish(new Error('Timed out')), LOOKUP_TIMEOUT_MS);
+
+        function finish(error, data) {
+            clearTimeout(timer);
+            delete window[callback];
+            script.remove();
+            if (error) reject(error);
+            else resolve(data);
+        }
+
+        window[callback] = data => finish(null, data);
+        script.onerror = () => finish(new Error('Script failed to load'));
+        url.searchParams.set('callback', callback);
+        script.src = url.toString();
+        document.head.appendChild(script);
+    });
+}
@@ -0,0 +1,58 @@
+import { getSessionId } from '../analytics/config.js';
+
+const TOKEN_CACHE_KEY = 'ui_submission_token';
+
+// Refresh a little before the server-side expiry so a slow form fill
+// never posts a token that expires in flight.
+const REFRESH_MARGIN_MS = 2 * 60 * 1000;
+
+/**
+ * Returns a short-lived signed submission token for the current session,
+ * requesting a new one from the Apps Script `doGet` endpoint when the cached
+ * token is missing or about to expire.
+ *
+ * Tokens are bound to the session ID and page origin, so they are cached in
+ * sessionStorage alongside the session itself (per endpoint, since the local
+ * stand-in signs with a different secret).
+ *
+ * @param {string} endpoint - The Apps Script web app URL (the form's POST target)
+ * @param {string} [sessionId] - Session the lead belongs to; defaults to the
+ *   current one. Queued leads resent in a later visit keep their own session.
+ * @returns {Promise<string>} The signed token
+ */
+export async function getSubmissionToken(endpoint, sessionId = getSessionId()) {
+    const cached = readCachedToken();
+    if (cached && cached.session_id === sessionId && cached.endpoint === endpoint &&
+        new Date(cached.expires_at).getTime() - Date.now() > REFRESH_MARGIN_MS) {
+        return cached.token;
+    }
+
+    const url = new URL(endpoint);
+    url.searchParams.set('action', 'token');
+    url.searchParams.set('session_id', sessionId);
+    url.searchParams.set('origin', window.location.origin);
+
+    const response = await fetch(url.toString(), { method: 'GET' });
+    const data = await response.json();
+    if (!data.success || !data.token) {
+        throw new Error(data.error || 'Token request failed');
+    }
+
+    if (sessionId !== getSessionId()) return data.token;
+
+    sessionStorage.setItem(TOKEN_CACHE_KEY, JSON.stringify({
+        token: data.token,
+        expires_at: data.expires_at,
+        session_id: sessionId,
+        endpoint
+    }));
+    return data.token;
+}
+
+function readCachedToken() {
+    try {
+        return JSON.parse(sessionStorage.getItem(TOKEN_CACHE_KEY) || 'null');
+    } catch (e) {
+        return null;
+    }
+}
@@ -0,0 +1,202 @@
+import { getLeadEndpoint, getSessionId } from '../analytics/config.js';
+import { trackEvent } from '../analytics/events.js';
+import { getSubmissionToken } from './token.js';
+
+/**
+ * Qualification wizard for the enquiry modal and the contact forms.
+ *
+ * A <form data-lead-form="…" data-lead-wizard> is shown one question at a
+ * time: intent, budget, configuration, possession timeline and callback
+ * time, then the form's own contact fields as the last step. The answers
+ * are radio inputs inside the form, so forms/lead-forms.js sends them as
+ * structured fields (intent, investment_range, configuration,
+ * possession_timeline, callback_time) with the lead.
+ *
+ * Each answered step is also posted to the lead endpoint (action=lead_partial),
+ * which keeps it in the "Partial Leads" sheet for the session: a visitor who
+ * stops before the contact step still tells sales what they were after, and
+ * a lead they send later from another form carries the answers. Answers are
+ * kept on the device too, so reopening the form continues where it stopped.
+ *
+ * Option values must match QUALIFICATION_ANSWERS in appscript.js.
+ */
+
+const ANSWERS_KEY = 'ui_lead_wizard';
+const ANSWERS_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Long enough to see the chosen option highlighted before the next question.
+const ADVANCE_DELAY_MS = 250;
+
+const STEPS = [
+    {
+        name: 'intent',
+        question: 'Are you buying to invest or to live in?',
+        options: ['Investment', 'Self use']
+    },
+    {
+        name: 'investment_range',
+        question: 'What is your budget?',
+        options: ['₹50 Lakhs - ₹1 Crore', '₹1 Crore - ₹5 Crore', '₹5 Crore - ₹10 Crore', '₹10 Crore+']
+    },
+    {
+        name: 'configuration',
+        question: 'What are you looking for?',
+        options: ['1 BHK', '2 BHK', '3 BHK', '4+ BHK', 'Plot', 'Commercial']
+    },
+    {
+        name: 'possession_timeline',
+        question: 'When would you like possession?',
+        options: ['Ready to move', 'Within 1 year', '1-3 years', 'Flexible']
+    },
+    {
+        name: 'callback_time',
+        question: 'When is the best time to call you?',
+        options: ['Morning (9am-12pm)', 'Afternoon (12-4pm)', 'Evening (4-8pm)', 'Weekend']
+    }
+];
+
+/**
+ * Turns every form[data-lead-wizard] on the page into a step-by-step wizard.
+ */
+export function initLeadWizards() {
+    document.querySelectorAll('form[data-lead-wizard]').forEach(initWizard);
+}
+
+function initWizard(form) {
+    const formType = form.dataset.leadForm;
+
+    // The form's own fields become the final step
+    const contactStep = document.createElement('div');
+    contactStep.className = 'lead-wizard-step';
+    contactStep.append(...form.childNodes);
+
+    const header = document.createElement('div');
+    header.className = 'lead-wizard-header mb-3';
+    header.innerHTML = `
+        <div class="d-flex justify-content-between align-items-center small text-muted mb-2">
+            <span data-wizard="count"></span>
+            <button type="button" class="btn btn-link btn-sm p-0 text-decoration-none" data-wizard="back">
+                <i class="fas fa-arrow-left me-1"></i>Back
+            </button>
+        </div>
+        <div class="progress" style="height: 4px;">
+            <div class="progress-bar" role="progressbar"></div>
+        </div>`;
+
+    const steps = STEPS.map(step => buildStep(form, step));
+    form.append(header, ...steps, contactStep);
+    steps.push(contactStep);
+
+    const answers = readAnswers();
+    STEPS.forEach(({ name }) => {
+        const option = [...form.elements[name]].find(input => input.value === answers[name]);
+        if (option) option.checked = true;
+    });
+
+    let current = 0;
+    function show(index) {
+        current = index;
+        steps.forEach((step, i) => step.classList.toggle('d-none', i !== index));
+        header.querySelector('[data-wizard="count"]').textContent = `Step ${index + 1} of ${steps.length}`;
+        header.querySelector('.progress-bar').style.width = `${(index + 1) / steps.length * 100}%`;
+        header.querySelector('[data-wizard="back"]').classList.toggle('invisible', index === 0);
+    }
+    // Returning visitors skip what they already answered
+    const firstOpen = STEPS.findIndex(({ name }) => !answers[name]);
+    show(firstOpen === -1 ? STEPS.length : firstOpen);
+
+    function next(step, answer) {
+        trackEvent('lead_wizard_step', {
+            form_type: formType,
+            step_number: current + 1,
+            step_name: step.name,
+            answer: answer || '(skipped)'
+        });
+        if (answer) savePartial(form, current + 1, step.name, answer);
+        show(current + 1);
+    }
+
+    STEPS.forEach((step, i) => {
+        // click rather than change, so re-picking a remembered answer moves on too
+        steps[i].addEventListener('click', e => {
+            if (!e.target.matches('input')) return;
+            setTimeout(() => {
+                if (current === i) next(step, e.target.value);
+            }, ADVANCE_DELAY_MS);
+        });
+        steps[i].querySelector('[data-wizard="skip"]').addEventListener('click', () => next(step, ''));
+    });
+    header.querySelector('[data-wizard="back"]').addEventListener('click', () => show(current - 1));
+
+    // lead-forms.js resets the form once the lead is saved. The answers went
+    // with it; the next enquiry starts from the first question.
+    form.addEventListener('reset', () => {
+        localStorage.removeItem(ANSWERS_KEY);
+        const modal = form.closest('.modal');
+        if (modal) modal.addEventListener('hidden.bs.modal', () => show(0), { once: true });
+    });
+}
+
+function buildStep(form, step) {
+    const element = document.createElement('fieldset');
+    element.className = 'lead-wizard-step';
+    element.innerHTML = `
+        <legend class="h6 fw-semibold mb-3"></legend>
+        <div class="d-grid gap-2 lead-wizard-options"></div>
+        <div class="text-end mt-3">
+            <button type="button" class="btn btn-link btn-sm text-muted p-0" data-wizard="skip">Skip this question</button>
+        </div>`;
+    element.querySelector('legend').textContent = step.question;
+
+    const options = element.querySelector('.lead-wizard-options');
+    step.options.forEach((value, i) => {
+        const id = `${form.id}-${step.name}-${i}`;
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.className = 'btn-check';
+        input.name = step.name;
+        input.id = id;
+        input.value = value;
+        const label = document.createElement('label');
+        label.className = 'btn btn-outline-primary';
+        label.htmlFor = id;
+        label.textContent = value;
+        options.append(input, label);
+    });
+    return element;
+}
+
+// Saved locally for the next visit, and on the server for sales. A failed
+// partial save is not worth interrupting the visitor for.
+async function savePartial(form, stepNumber, name, value) {
+    const answers = readAnswers();
+    answers[name] = value;
+    localStorage.setItem(ANSWERS_KEY, JSON.stringify({ answers, saved_at: Date.now() }));
+
+    const endpoint = getLeadEndpoint();
+    try {
+        // URL-encoded so analytics/forms.js doesn't take it for a lead
+        const body = new URLSearchParams(Object.assign({
+            action: 'lead_partial',
+            session_id: getSessionId(),
+            origin: window.location.origin,
+            token: await getSubmissionToken(endpoint),
+            form: form.dataset.leadForm,
+            project: form.dataset.leadProject || '',
+            step: String(stepNumber),
+            page_url: window.location.href
+        }, answers));
+        await fetch(endpoint, { method: 'POST', body });
+    } catch (error) {
+        console.warn('Partial lead not saved:', error);
+    }
+}
+
+function readAnswers() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ANSWERS_KEY) || 'null');
+        if (saved && Date.now() - saved.saved_at < ANSWERS_TTL_MS) return saved.answers;
+    } catch (e) {
+        // Unreadable: start over
+    }
+    return {};
+}
@@ -1,45 +1,273 @@
 (function () {
 "use strict";
-const WA_NUMBER = "911144739693";
-const PHONE_NUMBER = "7705015689";
+// Callback slots offered outside office hours: two-hour windows over the
+// next CALLBACK_DAYS days the office is open
+const CALLBACK_SLOT_HOURS = 2;
+const CALLBACK_DAYS = 2;
+// How often the mobile bar re-checks office hours on a page left open
+const OFFICE_CHECK_MS = 60 * 1000;
+// The page's sales contact and office hours (analytics/contacts.js,
+// through window.uiContact). Pages where the analytics module is missing or
+// failed to load get the default: keep it the same as CONTACTS.default there.
+const DEFAULT_CONTACT = {
+whatsapp: "911144739693",
+phone: "7705015689",
+hours: { utcOffset: 330, days: [0, 1, 3, 4, 5, 6], open: 10, close: 20 }
+};
+const contact = window.uiContact || DEFAULT_CONTACT;
 const SCRIPT_URL =
 "https://script.google.com/macros/s/AKfycbyK3zQjXKO656ePVyK4rH9-gbYxUwvj2irfhp0Ss7hOUghxNaPqrYOlVbaihJj_s-AagA/exec";
-const FRONTEND_TOKEN = "myFrontendToken123";
+// A/B tests (analytics/experiments.js, through window.uiExperiments). Pages
+// without the analytics module always get the control and report nothing.
+function variantOf(experimentId) {
+return window.uiExperiments ? window.uiExperiments.variant(experimentId) : "control";
+}
+function exposeExperiment(experimentId) {
+if (window.uiExperiments) window.uiExperiments.expose(experimentId);
+}
+function convertExperiment(experimentId, conversionType) {
+if (window.uiExperiments) window.uiExperiments.convert(experimentId, conversionType);
+}
+// The office's local time as a Date read with getUTC* methods
+function officeTime(date) {
+return new Date(date.getTime() + contact.hours.utcOffset * 60000);
+}
+function isOfficeOpen() {
+var now = officeTime(new Date());
+var hours = contact.hours;
+return hours.days.indexOf(now.getUTCDay()) !== -1 && now.getUTCHours() >= hours.open && now.getUTCHours() < hours.close;
+}
+// The office's time zone for visitors: "IST", otherwise "UTC+4", "UTC-3:30"
+function officeZone() {
+var offset = contact.hours.utcOffset;
+if (offset === 330) return "IST";
+var minutes = Math.abs(offset) % 60;
+return "UTC" + (offset < 0 ? "-" : "+") + Math.floor(Math.abs(offset) / 60) + (minutes ? ":" + ("0" + minutes).slice(-2) : "");
+}
+// WhatsApp text naming the project and the page the visitor is on
+function whatsappUrl(text) {
+var project = currentProject();
+var message = text.replace(/\{project\}/g, project || "your premium properties") +
+"\n\nPage: " + window.location.origin + window.location.pathname;
+return "https://wa.me/" + contact.whatsapp + "?text=" + encodeURIComponent(message);
+}
+// Same breakpoint as lead-magnet.css: the mobile bar replaces the floating button
+function isMobileLayout() {
+return window.matchMedia("(max-width: 768px)").matches;
+}
 function injectFloatingWA() {
-const waMsg = encodeURIComponent(
-"Hi Urban Investors, I'm interested in your premium properties. Please share details."
-);
+// floating_whatsapp: "labelled" adds a text label to the icon
+const labelled = variantOf("floating_whatsapp") === "labelled";
 const wa = document.createElement("a");
-wa.className = "ui-floating-wa";
-wa.href = `https://wa.me/${WA_NUMBER}?text=${waMsg}`;
+wa.className = labelled ? "ui-floating-wa ui-wa-labelled" : "ui-floating-wa";
+wa.href = whatsappUrl("Hi Urban Investors, I'm interested in {project}. Please share details.");
 wa.target = "_blank";
 wa.rel = "noopener noreferrer";
 wa.setAttribute("aria-label", "Chat on WhatsApp");
 wa.innerHTML = `
-<i class="fab fa-whatsapp"></i>
+<i class="fab fa-whatsapp"></i>${labelled ? "<span>Chat with an expert</span>" : ""}
 `;
+wa.addEventListener("click", function () {
+convertExperiment("floating_whatsapp", "whatsapp_click");
+});
 document.body.appendChild(wa);
+if (!isMobileLayout()) exposeExperiment("floating_whatsapp");
+}
+// Outside office hours nobody picks up: offer a callback instead
+function callButtonHtml(open) {
+return open ? `
+<a href="tel:${contact.phone}" class="ui-mcta-btn ui-mcta-call" data-mcta="call_click">
+<i class="fas fa-phone-alt fa-flip-horizontal"></i>
+<span>CALL NOW</span>
+</a>` : `
+<button type="button" class="ui-mcta-btn ui-mcta-call" data-mcta="callback_click">
+<i class="fas fa-clock"></i>
+<span>REQUEST A CALLBACK</span>
+</button>`;
+}
+// Swaps the mobile bar's call button when the office has opened or closed
+// since it was drawn. Returns the button now in the bar.
+function refreshCallButton(bar) {
+var button = bar.querySelector(".ui-mcta-call");
+var open = isOfficeOpen();
+if ((button.getAttribute("data-mcta") === "call_click") === open) return button;
+button.insertAdjacentHTML("afterend", callButtonHtml(open));
+var fresh = button.nextElementSibling;
+button.remove();
+return fresh;
 }
 function injectMobileCTA() {
+// mobile_cta: "whatsapp_first" leads with WhatsApp and relabels it
+const whatsappFirst = variantOf("mobile_cta") === "whatsapp_first";
+const call = callButtonHtml(isOfficeOpen());
+const whatsapp = `
+<a href="${whatsappUrl("Hi Urban Investors, I'm interested in {project}.")}"
+class="ui-mcta-btn ui-mcta-wa" target="_blank" rel="noopener noreferrer" data-mcta="whatsapp_click">
+<i class="fab fa-whatsapp"></i>
+<span>${whatsappFirst ? "Get Details on WhatsApp" : "WhatsApp"}</span>
+</a>`;
 const bar = document.createElement("div");
 bar.className = "ui-mobile-cta";
 bar.innerHTML = `
 <div class="ui-mcta-inner">
-<a href="tel:${PHONE_NUMBER}" class="ui-mcta-btn ui-mcta-call">
-<i class="fas fa-phone-alt fa-flip-horizontal"></i>
-<span>CALL NOW</span>
-</a>
-<a href="https://wa.me/${WA_NUMBER}?text=${encodeURIComponent("Hi, I'm interested in your properties")}"
-class="ui-mcta-btn ui-mcta-wa" target="_blank" rel="noopener noreferrer">
-<i class="fab fa-whatsapp"></i>
-<span>WhatsApp</span>
-</a>
+${whatsappFirst ? whatsapp + call : call + whatsapp}
 </div>
 `;
+bar.addEventListener("click", function (e) {
+var button = e.target.closest("[data-mcta]");
+if (!button) return;
+// A page left open past closing time must not dial an empty office
+if (button.getAttribute("data-mcta") === "call_click" && !isOfficeOpen()) {
+e.preventDefault();
+button = refreshCallButton(bar);
+}
+convertExperiment("mobile_cta", button.getAttribute("data-mcta"));
+if (button.getAttribute("data-mcta") === "callback_click") openCallback();
+});
 document.body.appendChild(bar);
+setInterval(function () { refreshCallButton(bar); }, OFFICE_CHECK_MS);
+if (isMobileLayout()) exposeExperiment("mobile_cta");
+}
+// Popup campaigns. When a trigger fires, the highest-priority campaign
+// whose rules all match and that isn't frequency-capped (see the visitor
+// lead state below) is shown; one popup per page at most.
+// Rules (leave one out to match everyone):
+//   pages    "home", "project", "other", or project names (analytics/projects.js)
+//   visits   [min] or [min, max] visits to the site (analytics/engagement.js)
+//   scroll   minimum % of this page scrolled
+//   seconds  minimum seconds on this page
+//   sources  latest traffic source or medium (analytics/attribution.js),
+//            e.g. "Google Ads", "Facebook", "organic"
+//   devices  "mobile" and/or "desktop"
+// trigger: "exit" (the pointer leaves through the top of the window; on
+// touch screens, EXIT_IDLE_MS without a touch) or "engaged" (as soon as
+// the rules match). Copy and form fields may use {project}. Leads carry the
+// campaign's id as popup_campaign. A campaign with an experiment
+// (analytics/experiments.js) takes its variant's overrides from variants.
+var CAMPAIGNS = [
+{
+id: "project-returning",
+priority: 30,
+trigger: "exit",
+pages: ["project"],
+visits: [2],
+icon: "fa-tags",
+title: "Still Considering {project}?",
+text: "Get this week's best price, payment plan and unit availability for {project}. Our property expert will call you within 24hrs.",
+button: "Get Best Price",
+success: "Our property expert will call you within 24hrs with the latest offers on {project}.",
+subject: "Exit Popup Lead - {project}",
+message: "Returning visitor, exit popup on {project}"
+},
+{
+id: "project-engaged",
+priority: 20,
+trigger: "engaged",
+pages: ["project"],
+scroll: 60,
+seconds: 60,
+icon: "fa-calendar-check",
+title: "Like What You See?",
+text: "Get a free callback with floor plans and a site visit slot for {project}. Pickup and drop included.",
+button: "Request a Callback",
+success: "Our property expert will call you shortly to plan your visit to {project}.",
+subject: "Callback Request - {project}",
+message: "Callback requested from the engaged-visitor popup on {project}"
+},
+{
+id: "default-exit",
+priority: 0,
+trigger: "exit",
+icon: "fa-gift",
+title: "Wait! Don't Miss Out",
+text: "Get exclusive pre-launch prices & a free property consultation. Our property expert will call you within 24hrs.",
+button: "Get My Free Consultation",
+success: "Our property expert will call you within 24hrs. Meanwhile, continue browsing our premium projects.",
+subject: "Exit Popup Lead",
+message: "Lead from exit-intent popup",
+experiment: "exit_offer",
+variants: {
+shortlist: {
+icon: "fa-list-check",
+title: "Get Your Free Shortlist",
+text: "Tell us how to reach you and our expert will send a shortlist of projects that match your budget, with current prices.",
+button: "Send My Shortlist",
+success: "Our property expert will call you within 24hrs to go through your shortlist."
+}
+}
+}
+];
+const EXIT_IDLE_MS = 45000;
+let popupShown = false;
+// Visitor lead state, kept across visits in localStorage: when the visitor
+// last sent a lead (converted_at), the popup impressions of the past week
+// and, per campaign, when it was last shown and how often it was dismissed.
+// Expired entries are dropped as it is read. Visitors who converted see no
+// lead-capture prompts, only "Talk to your advisor".
+const LEAD_STATE_KEY = "ui_lead_state";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONVERTED_DAYS = 90;
+// Popups per visitor, across campaigns
+const POPUP_CAPS = { day: 1, week: 2 };
+// Days a campaign stays hidden after its 1st, 2nd, 3rd (and later) dismissal
+const DISMISS_BACKOFF_DAYS = [3, 14, 60];
+var leadState = readLeadState();
+function readLeadState() {
+var state = {};
+try {
+state = JSON.parse(localStorage.getItem(LEAD_STATE_KEY)) || {};
+} catch (e) {
+// Unreadable or blocked storage: caps hold for this page only
+}
+var now = Date.now();
+if (state.converted_at && now - state.converted_at > CONVERTED_DAYS * DAY_MS) delete state.converted_at;
+state.impressions = (state.impressions || []).filter(function (t) { return now - t < 7 * DAY_MS; });
+state.campaigns = state.campaigns || {};
+var longestBackoff = DISMISS_BACKOFF_DAYS[DISMISS_BACKOFF_DAYS.length - 1] * DAY_MS;
+Object.keys(state.campaigns).forEach(function (id) {
+var record = state.campaigns[id];
+if (now - Math.max(record.last_shown || 0, record.last_dismissed || 0) > longestBackoff) delete state.campaigns[id];
+});
+return state;
+}
+function saveLeadState() {
+try {
+localStorage.setItem(LEAD_STATE_KEY, JSON.stringify(leadState));
+} catch (e) {
+// Storage blocked: nothing to persist to
+}
+}
+function isConverted() {
+return Boolean(leadState.converted_at);
+}
+function popupCapReached() {
+var now = Date.now();
+var today = leadState.impressions.filter(function (t) { return now - t < DAY_MS; });
+return today.length >= POPUP_CAPS.day || leadState.impressions.length >= POPUP_CAPS.week;
+}
+function inDismissBackoff(campaign) {
+var record = leadState.campaigns[campaign.id];
+if (!record || !record.dismissed) return false;
+var days = DISMISS_BACKOFF_DAYS[Math.min(record.dismissed, DISMISS_BACKOFF_DAYS.length) - 1];
+return Date.now() - record.last_dismissed < days * DAY_MS;
+}
+function recordPopup(campaignId, dismissed) {
+var record = leadState.campaigns[campaignId] = leadState.campaigns[campaignId] || { dismissed: 0 };
+if (dismissed) {
+record.dismissed += 1;
+record.last_dismissed = Date.now();
+} else {
+record.last_shown = Date.now();
+leadState.impressions.push(record.last_shown);
+}
+saveLeadState();
+}
+const pageStart = Date.now();
+let maxScroll = 0;
+function injectCampaignPopup(campaign, project) {
+function fill(text) {
+return text.replace(/\{project\}/g, project || "");
 }
-let exitShown = false;
-function injectExitPopup() {
 const overlay = document.createElement("div");
 overlay.className = "ui-exit-overlay";
 overlay.id = "uiExitOverlay";
@@ -48,17 +276,18 @@ overlay.innerHTML = `
 <button class="ui-exit-close" id="uiExitClose">&times;</button>
 <div id="uiExitFormView">
 <div class="ui-exit-icon">
-<i class="fas fa-gift"></i>
+<i class="fas ${campaign.icon}"></i>
 </div>
-<h3>Wait! Don't Miss Out</h3>
-<p>Get exclusive pre-launch prices & a free property consultation. Our property expert will call you within 24hrs.</p>
+<h3>${fill(campaign.title)}</h3>
+<p>${fill(campaign.text)}</p>
 <form class="ui-exit-form" id="uiExitForm">
 <input type="text" class="ui-exit-input" placeholder="Your Name" id="uiExitName" required />
-<input type="tel" class="ui-exit-input" placeholder="Your Phone Number" id="uiExitPhone" required  pattern="[0-9]{10}" minlength="10" maxlength="10" title="Please enter a valid 10-digit phone number" />
+<input type="tel" class="ui-exit-input" placeholder="Your Phone Number" id="uiExitPhone" required />
 <button type="submit" class="ui-exit-submit">
-<i class="fas fa-phone-alt" style="margin-right:8px"></i>Get My Free Consultation
+<i class="fas fa-phone-alt" style="margin-right:8px"></i>${fill(campaign.button)}
 </button>
 </form>
+<p class="ui-exit-error" id="uiExitError" role="alert"></p>
 <div class="ui-exit-trust">
 <i class="fas fa-shield-alt"></i>
 <span>100% Free · No Spam · Your data is safe</span>
@@ -67,106 +296,195 @@ overlay.innerHTML = `
 <div class="ui-exit-success" id="uiExitSuccess">
 <i class="fas fa-check-circle"></i>
 <h4>Thank You!</h4>
-<p>Our property expert will call you within 24hrs. Meanwhile, continue browsing our premium projects.</p>
+<p>${fill(campaign.success)}</p>
 </div>
 </div>
 `;
+// Appended when shown, so forms/ (consent, anti-spam, phone picker) sees a
+// new lead form and sets it up
 document.body.appendChild(overlay);
-document.getElementById("uiExitClose").addEventListener("click", closeExit);
+overlay.dataset.campaign = campaign.id;
+document.getElementById("uiExitClose").addEventListener("click", function () {
+closePopup(true);
+});
 overlay.addEventListener("click", function (e) {
-if (e.target === overlay) closeExit();
+if (e.target === overlay) closePopup(true);
 });
 document
 .getElementById("uiExitForm")
 .addEventListener("submit", function (e) {
 e.preventDefault();
 const name = document.getElementById("uiExitName").value.trim();
-const phone = document.getElementById("uiExitPhone").value.trim();
+const phoneInput = document.getElementById("uiExitPhone");
+// Full international number from the country picker (forms/phone.js)
+const phone = phoneInput.dataset.fullPhone || phoneInput.value.trim();
 if (!name || !phone) return;
 const fd = new FormData();
 fd.append("full_name", name);
 fd.append("email", "exit-popup@lead.com");
 fd.append("phone", phone);
-fd.append("subject", "Exit Popup Lead");
+fd.append("subject", fill(campaign.subject));
 fd.append("investment_range", "");
 fd.append(
 "message",
-"Lead from exit-intent popup on: " + window.location.pathname
+fill(campaign.message) + " on: " + window.location.pathname
 );
-fd.append("token", FRONTEND_TOKEN);
-fetch(SCRIPT_URL, { method: "POST", body: fd, mode: "no-cors" }).catch(function () {});
+fd.append("popup_campaign", campaign.id);
+const submit = this.querySelector(".ui-exit-submit");
+const error = document.getElementById("uiExitError");
+submit.disabled = true;
+error.style.display = "none";
+// analytics/forms.js answers with the endpoint's JSON verdict
+fetch(SCRIPT_URL, { method: "POST", body: fd })
+.then(function (res) { return res.json(); })
+.then(function (result) {
+// Queued leads (offline) are sent automatically once the connection returns
+if (!result.success && !result.queued) throw new Error(result.error || "Lead not saved");
 document.getElementById("uiExitFormView").style.display = "none";
 document.getElementById("uiExitSuccess").style.display = "block";
-setTimeout(closeExit, 4000);
+setTimeout(function () { closePopup(false); }, 4000);
+})
+.catch(function () {
+error.textContent = "Sorry, that didn't go through. Please check your number and try again, or call us on " + contact.phone + ".";
+error.style.display = "block";
+})
+.then(function () {
+submit.disabled = false;
 });
+});
+return overlay;
 }
-function showExit() {
-if (exitShown) return;
-if (sessionStorage.getItem("ui_exit_dismissed")) return;
-exitShown = true;
-var overlay = document.getElementById("uiExitOverlay");
-if (overlay) overlay.classList.add("ui-show");
+// What the campaign rules are checked against. Visits and traffic source
+// come from the analytics modules' storage; both may be missing.
+function visitorContext() {
+var project = currentProject();
+var path = window.location.pathname.split("/").pop().replace(/\.html$/i, "");
+var engagement = {};
+var attribution = {};
+try {
+engagement = JSON.parse(localStorage.getItem("ui_engagement")) || {};
+attribution = JSON.parse(sessionStorage.getItem("ui_attribution_data")) || {};
+} catch (e) {
+// Unreadable storage: rules on visits and source just don't match
 }
-function closeExit() {
+return {
+project: project,
+page: project ? "project" : path === "" || path === "index" ? "home" : "other",
+visits: engagement.visits || 1,
+scroll: maxScroll,
+seconds: (Date.now() - pageStart) / 1000,
+sources: [attribution.latest_source, attribution.latest_medium].filter(Boolean).map(function (s) { return s.toLowerCase(); }),
+device: window.matchMedia("(max-width: 768px), (pointer: coarse)").matches ? "mobile" : "desktop"
+};
+}
+function campaignMatches(campaign, ctx) {
+if (campaign.pages && campaign.pages.indexOf(ctx.page) === -1 && campaign.pages.indexOf(ctx.project) === -1) return false;
+if (campaign.visits && (ctx.visits < campaign.visits[0] || ctx.visits > (campaign.visits[1] || Infinity))) return false;
+if (campaign.scroll && ctx.scroll < campaign.scroll) return false;
+if (campaign.seconds && ctx.seconds < campaign.seconds) return false;
+if (campaign.sources && !campaign.sources.some(function (s) { return ctx.sources.indexOf(s.toLowerCase()) !== -1; })) return false;
+if (campaign.devices && campaign.devices.indexOf(ctx.device) === -1) return false;
+return true;
+}
+function showCampaign(trigger) {
+if (popupShown || isConverted() || popupCapReached()) return;
+// Never on top of a popup or modal the visitor opened
+if (document.querySelector(".ui-show, .modal.show")) return;
+var ctx = visitorContext();
+var campaign = CAMPAIGNS
+.filter(function (c) { return c.trigger === trigger && !inDismissBackoff(c) && campaignMatches(c, ctx); })
+.sort(function (a, b) { return b.priority - a.priority; })[0];
+if (!campaign) return;
+popupShown = true;
+recordPopup(campaign.id, false);
+if (campaign.experiment) {
+var overrides = (campaign.variants || {})[variantOf(campaign.experiment)];
+campaign = Object.assign({}, campaign, overrides);
+exposeExperiment(campaign.experiment);
+}
+var overlay = injectCampaignPopup(campaign, ctx.project);
+overlay.classList.add("ui-show");
+window.dataLayer = window.dataLayer || [];
+window.dataLayer.push({ event: "popup_view", popup_campaign: campaign.id, popup_trigger: trigger });
+}
+// dismissed: closed by the visitor rather than after a sent lead
+function closePopup(dismissed) {
 var overlay = document.getElementById("uiExitOverlay");
-if (overlay) overlay.classList.remove("ui-show");
-sessionStorage.setItem("ui_exit_dismissed", "1");
+if (!overlay || !overlay.classList.contains("ui-show")) return;
+overlay.classList.remove("ui-show");
+if (dismissed) recordPopup(overlay.dataset.campaign, true);
 }
-function setupExitIntent() {
+function setupPopupTriggers() {
 document.addEventListener("mouseleave", function (e) {
-if (e.clientY < 10) showExit();
+if (e.clientY < 10) showCampaign("exit");
 });
-var lastScrollTop = window.scrollY || document.documentElement.scrollTop;
-var scrollSpeedTrigger = 50;
-document.addEventListener("scroll", function() {
-var st = window.scrollY || document.documentElement.scrollTop;
-if (lastScrollTop - st > scrollSpeedTrigger) {
-showExit();
-}
-lastScrollTop = st <= 0 ? 0 : st;
-}, { passive: true });
-var mobileTimer = null;
-function resetMobileTimer() {
-clearTimeout(mobileTimer);
-mobileTimer = setTimeout(showExit, 45000);
+var idleTimer = null;
+function resetIdleTimer() {
+clearTimeout(idleTimer);
+idleTimer = setTimeout(function () { showCampaign("exit"); }, EXIT_IDLE_MS);
 }
 if ("ontouchstart" in window) {
-resetMobileTimer();
-document.addEventListener("touchstart", resetMobileTimer, {
+resetIdleTimer();
+document.addEventListener("touchstart", resetIdleTimer, {
 passive: true,
 });
 }
+// "engaged" campaigns: checked as the visitor scrolls and once a second
+document.addEventListener("scroll", function () {
+var doc = document.documentElement;
+var scrollable = doc.scrollHeight - window.innerHeight;
+var percent = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+if (percent > maxScroll) maxScroll = percent;
+showCampaign("engaged");
+}, { passive: true });
+var engagedTimer = setInterval(function () {
+if (popupShown || isConverted() || popupCapReached()) clearInterval(engagedTimer);
+else showCampaign("engaged");
+}, 1000);
 }
-const PROJECTS = {
-experionsaatori: "Experion Saatori",
-dasnac: "Dasnac Yuva",
-eldecoballadsofbliss: "Eldeco Ballads of Bliss",
-eldecoechoesofeden: "Eldeco Echoes of Eden",
-"eldeco-7-peaks": "Eldeco 7 Peaks",
-gaurchrysalis: "Gaur Chrysalis",
-gaurchrysalis2: "Gaur Chrysalis",
-migsunnehru: "Migsun Nehru Place",
-onefng: "One FNG",
-palmvillage: "Palm Village",
-aceacreville: "Ace Acreville",
-"max-105": "Max 105",
-sobharivana: "Sobha Rivana",
-};
+// The page's project name from the project catalog (analytics/projects.js,
+// exposed by analytics/main.js); null on other pages or without the module
 function currentProject() {
-var slug = window.location.pathname
-.split("/")
-.pop()
-.replace(/\.html$/i, "")
-.toLowerCase();
-return PROJECTS[slug] || null;
+return window.uiCurrentProject ? window.uiCurrentProject.name : null;
+}
+// get_price_offer variants: the price on WhatsApp (control) or a callback
+var GET_PRICE_OFFERS = {
+control: {
+fab: "Get Price",
+icon: "fa-tag",
+title: "Get the Exact Price",
+text: "Enter your details and we'll send the latest price &amp; payment plan for <strong>{project}</strong> on WhatsApp right away.",
+button: '<i class="fab fa-whatsapp" style="margin-right:8px"></i>Get Price on WhatsApp',
+success: "<h4>Opening WhatsApp&hellip;</h4><p>If it doesn't open automatically, <a id=\"uiGpWaLink\" href=\"#\" target=\"_blank\" rel=\"noopener\">tap here to chat</a>.</p>",
+subject: "Price Request - {project}",
+whatsapp: true
+},
+callback: {
+fab: "Price Callback",
+icon: "fa-phone-alt",
+title: "Get a Price Callback",
+text: "Our property expert will call you within 30 minutes with the latest price &amp; payment plan for <strong>{project}</strong>.",
+button: '<i class="fas fa-phone-alt" style="margin-right:8px"></i>Call Me Back',
+success: "<h4>Thank You!</h4><p>Our property expert will call you shortly with the price for {project}.</p>",
+subject: "Price Callback Request - {project}",
+whatsapp: false
 }
+};
+// Success view when analytics/forms.js kept the lead to resend once the
+// connection returns
+var GET_PRICE_QUEUED = "<h4>Request Saved</h4><p>You seem to be offline. We'll send your request for {project} as soon as you're back online.</p>";
 function injectGetPrice(project) {
+var offer = GET_PRICE_OFFERS[variantOf("get_price_offer")] || GET_PRICE_OFFERS.control;
+function fill(text) {
+return text.replace(/\{project\}/g, project);
+}
 var fab = document.createElement("button");
 fab.type = "button";
 fab.className = "ui-gp-fab";
 fab.setAttribute("aria-label", "Get price for " + project);
-fab.innerHTML = '<i class="fas fa-tag"></i><span>Get Price</span>';
+fab.innerHTML = '<i class="fas ' + offer.icon + '"></i><span>' + offer.fab + "</span>";
 document.body.appendChild(fab);
+exposeExperiment("get_price_offer");
 var overlay = document.createElement("div");
 overlay.className = "ui-gp-overlay";
 overlay.id = "uiGpOverlay";
@@ -174,16 +492,17 @@ overlay.innerHTML = `
 <div class="ui-gp-modal">
 <button class="ui-gp-close" id="uiGpClose" aria-label="Close">&times;</button>
 <div id="uiGpFormView">
-<div class="ui-gp-icon"><i class="fas fa-tag"></i></div>
-<h3>Get the Exact Price</h3>
-<p>Enter your details and we'll send the latest price &amp; payment plan for <strong>${project}</strong> on WhatsApp right away.</p>
+<div class="ui-gp-icon"><i class="fas ${offer.icon}"></i></div>
+<h3>${offer.title}</h3>
+<p>${fill(offer.text)}</p>
 <form class="ui-gp-form" id="uiGpForm">
 <input type="text" class="ui-gp-input" placeholder="Your Name" id="uiGpName" required />
-<input type="tel" class="ui-gp-input" placeholder="Your Phone Number" id="uiGpPhone" required  pattern="[0-9]{10}" minlength="10" maxlength="10" title="Please enter a valid 10-digit phone number" />
+<input type="tel" class="ui-gp-input" placeholder="Your Phone Number" id="uiGpPhone" required />
 <button type="submit" class="ui-gp-submit">
-<i class="fab fa-whatsapp" style="margin-right:8px"></i>Get Price on WhatsApp
+${offer.button}
 </button>
 </form>
+<p class="ui-gp-error" id="uiGpError" role="alert"></p>
 <div class="ui-gp-trust">
 <i class="fas fa-lock"></i>
 <span>100% Free &middot; No Spam &middot; RERA-registered projects</span>
@@ -191,15 +510,17 @@ overlay.innerHTML = `
 </div>
 <div class="ui-gp-success" id="uiGpSuccess">
 <i class="fas fa-check-circle"></i>
-<h4>Opening WhatsApp&hellip;</h4>
-<p>If it doesn't open automatically, <a id="uiGpWaLink" href="#" target="_blank" rel="noopener">tap here to chat</a>.</p>
+<div id="uiGpSuccessText">${fill(offer.success)}</div>
 </div>
 </div>
 `;
 document.body.appendChild(overlay);
 function openGp() { overlay.classList.add("ui-show"); }
 function closeGp() { overlay.classList.remove("ui-show"); }
-fab.addEventListener("click", openGp);
+fab.addEventListener("click", function () {
+convertExperiment("get_price_offer", "open");
+openGp();
+});
 document.getElementById("uiGpClose").addEventListener("click", closeGp);
 overlay.addEventListener("click", function (e) {
 if (e.target === overlay) closeGp();
@@ -207,42 +528,220 @@ if (e.target === overlay) closeGp();
 document.getElementById("uiGpForm").addEventListener("submit", function (e) {
 e.preventDefault();
 var name = document.getElementById("uiGpName").value.trim();
-var phone = document.getElementById("uiGpPhone").value.trim();
+var phoneInput = document.getElementById("uiGpPhone");
+var phone = phoneInput.dataset.fullPhone || phoneInput.value.trim();
 if (!name || !phone) return;
 var fd = new FormData();
 fd.append("full_name", name);
 fd.append("email", "getprice@lead.com");
 fd.append("phone", phone);
-fd.append("subject", "Price Request - " + project);
+fd.append("subject", fill(offer.subject));
 fd.append("investment_range", "Get Price Request");
 fd.append("message", "Price request for " + project + " (Page: " + window.location.pathname + ")");
-fd.append("token", FRONTEND_TOKEN);
 fd.append("fullName", name);
 fd.append("emailAddress", "getprice@lead.com");
 fd.append("phoneNumber", phone);
 fd.append("investmentRange", "Get Price Request");
-fd.append("Token", FRONTEND_TOKEN);
-fetch(SCRIPT_URL, { method: "POST", body: fd, mode: "no-cors" }).catch(function () {});
-var waMsg = encodeURIComponent(
-"Hi Urban Investors, this is " + name + ". Please share the exact price & payment plan for " + project + "."
-);
-var waUrl = "https://wa.me/" + WA_NUMBER + "?text=" + waMsg;
-var link = document.getElementById("uiGpWaLink");
-if (link) link.href = waUrl;
+var waUrl = whatsappUrl("Hi Urban Investors, this is " + name + ". Please share the exact price & payment plan for {project}.");
+var submit = this.querySelector(".ui-gp-submit");
+var error = document.getElementById("uiGpError");
+function sendAndOpenWhatsApp() {
+var serverMessage = "";
+submit.disabled = true;
+error.style.display = "none";
+// analytics/forms.js answers with the endpoint's JSON verdict
+fetch(SCRIPT_URL, { method: "POST", body: fd })
+.then(function (res) { return res.json(); })
+.then(function (result) {
+if (!result.success && !result.queued) {
+// Validation messages are worded for visitors (validateLead in appscript.js)
+serverMessage = result.errors && result.errors.length ? result.errors[0].message : "";
+throw new Error(result.error || "Lead not saved");
+}
+if (result.queued) {
+document.getElementById("uiGpSuccessText").innerHTML = fill(GET_PRICE_QUEUED);
+} else if (offer.whatsapp) {
+document.getElementById("uiGpWaLink").href = waUrl;
 window.open(waUrl, "_blank");
+}
 document.getElementById("uiGpFormView").style.display = "none";
 document.getElementById("uiGpSuccess").style.display = "block";
+})
+.catch(function () {
+error.textContent = (serverMessage || "Sorry, that didn't go through. Please check your number and try again.") +
+" Or call us on " + contact.phone + ".";
+error.style.display = "block";
+})
+.then(function () {
+submit.disabled = false;
 });
 }
+// Phone verification (forms/otp.js) asks for a one-time code first. The
+// WhatsApp tab opens once the lead is saved, which browsers may block as a
+// popup; the success view keeps a link to it.
+if (typeof window.uiVerifyPhone === "function") {
+submit.disabled = true;
+window.uiVerifyPhone(document.getElementById("uiGpFormView"), phone).then(function (proof) {
+submit.disabled = false;
+if (proof === null) return;
+if (proof) fd.append("phone_verification", proof);
+sendAndOpenWhatsApp();
+});
+return;
+}
+sendAndOpenWhatsApp();
+});
+}
+// Takes the Get Price button's place for visitors who already sent a lead
+function injectAdvisor() {
+var advisor = document.createElement("a");
+advisor.className = "ui-gp-fab ui-advisor-fab";
+advisor.href = whatsappUrl("Hi Urban Investors, I enquired earlier about {project}. I'd like to talk to my advisor.");
+advisor.target = "_blank";
+advisor.rel = "noopener noreferrer";
+advisor.innerHTML = '<i class="fas fa-user-tie"></i><span>Talk to your advisor</span>';
+document.body.appendChild(advisor);
+}
+// Two-hour windows within office hours over the next CALLBACK_DAYS open
+// days, skipping any that have started. label is for the visitor, value
+// (with the date) goes to sales as callback_time.
+function callbackSlots() {
+var hours = contact.hours;
+var now = officeTime(new Date());
+var days = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+var months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+function hourText(h) {
+return (h % 12 || 12) + (h < 12 || h === 24 ? "am" : "pm");
+}
+var slots = [];
+var openDays = 0;
+for (var offset = 0; offset < 14 && openDays < CALLBACK_DAYS; offset++) {
+var day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + offset));
+if (hours.days.indexOf(day.getUTCDay()) === -1) continue;
+var date = days[day.getUTCDay()] + " " + day.getUTCDate() + " " + months[day.getUTCMonth()];
+var dayName = offset === 0 ? "Today" : offset === 1 ? "Tomorrow" : date;
+var found = false;
+for (var h = hours.open; h < hours.close; h += CALLBACK_SLOT_HOURS) {
+if (offset === 0 && h <= now.getUTCHours()) continue;
+var range = hourText(h) + "-" + hourText(Math.min(h + CALLBACK_SLOT_HOURS, hours.close));
+slots.push({ label: dayName + ", " + range, value: date + ", " + range });
+found = true;
+}
+if (found) openDays++;
+}
+return slots;
+}
+// Callback request popup, for when the office is closed. Built on first
+// open, so forms/ (consent, anti-spam, phone picker) sets up its form.
+function callbackOptions() {
+return '<option value="">When should we call?</option>' + callbackSlots().map(function (slot) {
+return '<option value="' + slot.value + '">' + slot.label + "</option>";
+}).join("");
+}
+function openCallback() {
+var overlay = document.getElementById("uiCbOverlay");
+if (overlay) {
+// Slots that have passed since it was last open drop out
+document.getElementById("uiCbSlot").innerHTML = callbackOptions();
+overlay.classList.add("ui-show");
+return;
+}
+var project = currentProject();
+overlay = document.createElement("div");
+overlay.className = "ui-exit-overlay";
+overlay.id = "uiCbOverlay";
+overlay.innerHTML = `
+<div class="ui-exit-modal">
+<button class="ui-exit-close" id="uiCbClose" aria-label="Close">&times;</button>
+<div id="uiCbFormView">
+<div class="ui-exit-icon">
+<i class="fas fa-clock"></i>
+</div>
+<h3>Request a Callback</h3>
+<p>Our office is closed right now. Pick a time and our property expert will call you${project ? " about <strong>" + project + "</strong>" : ""}.</p>
+<form class="ui-exit-form" id="uiCbForm">
+<input type="text" class="ui-exit-input" placeholder="Your Name" id="uiCbName" required />
+<input type="tel" class="ui-exit-input" placeholder="Your Phone Number" id="uiCbPhone" required />
+<select class="ui-exit-input" id="uiCbSlot" aria-label="Callback time" required>
+${callbackOptions()}
+</select>
+<button type="submit" class="ui-exit-submit">
+<i class="fas fa-phone-alt" style="margin-right:8px"></i>Call Me Back
+</button>
+</form>
+<p class="ui-exit-error" id="uiCbError" role="alert"></p>
+<div class="ui-exit-trust">
+<i class="fas fa-clock"></i>
+<span>Times are in ${officeZone()}</span>
+</div>
+</div>
+<div class="ui-exit-success" id="uiCbSuccess">
+<i class="fas fa-check-circle"></i>
+<h4>Callback Booked</h4>
+<p id="uiCbSuccessText"></p>
+</div>
+</div>
+`;
+document.body.appendChild(overlay);
+function closeCallback() { overlay.classList.remove("ui-show"); }
+document.getElementById("uiCbClose").addEventListener("click", closeCallback);
+overlay.addEventListener("click", function (e) {
+if (e.target === overlay) closeCallback();
+});
+document.getElementById("uiCbForm").addEventListener("submit", function (e) {
+e.preventDefault();
+var name = document.getElementById("uiCbName").value.trim();
+var phoneInput = document.getElementById("uiCbPhone");
+var phone = phoneInput.dataset.fullPhone || phoneInput.value.trim();
+var slot = document.getElementById("uiCbSlot");
+if (!name || !phone || !slot.value) return;
+var fd = new FormData();
+fd.append("full_name", name);
+fd.append("email", "callback@lead.com");
+fd.append("phone", phone);
+fd.append("subject", project ? "Callback Request - " + project : "Callback Request");
+fd.append("investment_range", "");
+fd.append("message", "Callback requested outside office hours on: " + window.location.pathname);
+fd.append("callback_time", slot.value);
+var submit = this.querySelector(".ui-exit-submit");
+var error = document.getElementById("uiCbError");
+submit.disabled = true;
+error.style.display = "none";
+fetch(SCRIPT_URL, { method: "POST", body: fd })
+.then(function (res) { return res.json(); })
+.then(function (result) {
+if (!result.success && !result.queued) throw new Error(result.error || "Lead not saved");
+document.getElementById("uiCbSuccessText").textContent =
+"Our property expert will call you at the time you picked: " + slot.options[slot.selectedIndex].text + " (" + officeZone() + ").";
+document.getElementById("uiCbFormView").style.display = "none";
+document.getElementById("uiCbSuccess").style.display = "block";
+})
+.catch(function () {
+error.textContent = "Sorry, that didn't go through. Please check your number and try again, or message us on WhatsApp.";
+error.style.display = "block";
+})
+.then(function () {
+submit.disabled = false;
+});
+});
+overlay.classList.add("ui-show");
+}
 function init() {
 var oldSticky = document.getElementById("uiPropertySticky");
 if (oldSticky) oldSticky.remove();
 injectFloatingWA();
 injectMobileCTA();
-injectExitPopup();
-setupExitIntent();
+setupPopupTriggers();
+// A lead saved from any form (CONFIG.LEAD_SUBMITTED_EVENT in
+// analytics/config.js) ends the lead-capture prompts for this visitor
+window.addEventListener("ui:lead-submitted", function (e) {
+if (!e.detail.result.success) return;
+leadState.converted_at = Date.now();
+saveLeadState();
+});
 var project = currentProject();
-if (project) injectGetPrice(project);
+if (isConverted()) injectAdvisor();
+else if (project) injectGetPrice(project);
 }
 if (document.readyState === "loading") {
 document.addEventListener("DOMContentLoaded", init);
@@ -155,7 +155,7 @@ const modalId = this.getAttribute("data-bs-target");
 const modal = document.querySelector(modalId);
 if (modal) {
 const form = modal.querySelector("form");
-if (form) {
+if (form && !form.hasAttribute("data-lead-form")) {
 form.addEventListener("submit", function (e) {
 e.preventDefault();
 showNotification(
@@ -528,9 +528,9 @@ property.id
 })">
 View Details
 </button>
-<button class="btn btn-outline-primary" onclick="scheduleViewing(${
-property.id
-})" aria-label="Schedule viewing for ${property.title}">
+<button class="btn btn-outline-primary" data-project="${
+property.title
+}" onclick="scheduleViewing(this.dataset.project)" aria-label="Book a site visit to ${property.title}">
 <i class="fas fa-calendar-alt"></i>
 </button>
 </div>
@@ -578,26 +578,38 @@ contactSection.scrollIntoView({ behavior: "smooth" });
 }
 }, 1500);
 }
-function scheduleViewing(propertyId) {
-showNotification(
-`Viewing request submitted for Property #${propertyId}. Our representative will contact you within 24 hours.`,
-"success"
-);
-console.log(`Viewing scheduled for property ${propertyId}`);
-setTimeout(() => {
+// Opens the site-visit booking modal (forms/site-visit.js). Pages without it
+// fall back to the contact form.
+function scheduleViewing(project) {
+if (typeof window.uiBookSiteVisit === "function") {
+window.uiBookSiteVisit(project);
+return;
+}
 const contactSection = document.querySelector("#contact");
 const message = document.querySelector("#message");
 if (contactSection) {
 contactSection.scrollIntoView({ behavior: "smooth" });
 }
 if (message) {
-message.value = `I would like to schedule a viewing for Property ID: ${propertyId}. Please contact me with available times.`;
+message.value = `I would like to book a site visit for ${project}. Please contact me with available times.`;
 }
-}, 1500);
 }
 function setupContactForm() {
 const contactForm = document.getElementById("contactForm");
 if (!contactForm) return;
+const inputs = contactForm.querySelectorAll("input, select, textarea");
+inputs.forEach((input) => {
+input.addEventListener("blur", function () {
+validateField(this);
+});
+input.addEventListener("input", function () {
+if (this.classList.contains("is-invalid")) {
+validateField(this);
+}
+});
+});
+// Lead forms are submitted by forms/lead-forms.js
+if (contactForm.hasAttribute("data-lead-form")) return;
 const submitBtn = contactForm.querySelector('button[type="submit"]');
 const btnText = submitBtn.querySelector(".btn-text");
 const btnLoading = submitBtn.querySelector(".btn-loading");
@@ -630,17 +642,6 @@ if (btnText) btnText.classList.remove("d-none");
 if (btnLoading) btnLoading.classList.add("d-none");
 }
 });
-const inputs = contactForm.querySelectorAll("input, select, textarea");
-inputs.forEach((input) => {
-input.addEventListener("blur", function () {
-validateField(this);
-});
-input.addEventListener("input", function () {
-if (this.classList.contains("is-invalid")) {
-validateField(this);
-}
-});
-});
 }
 function validateField(field) {
 const isValid = field.checkValidity();